@@ -0,0 +1,26 @@
+/**
+* A data provider serving the pages of an in-memory array, for tests and as an example of
+* the contract of data providers, which would usually load their pages from a server.
+*/
+export class ArrayDataProvider {
+  /**
+  * @param items The items to serve.
+  * @param delay The time in milliseconds it takes to load a page.
+  * @param pageSize The number of items requested at once.
+  */
+  constructor(items: Array<any>, delay: number = 0, pageSize?: number) {
+    this.items = items;
+    this.delay = delay;
+    this.pageSize = pageSize;
+  }
+
+  get length(): number {
+    return this.items.length;
+  }
+
+  getRange(start: number, count: number): Promise<Array<any>> {
+    return new Promise(resolve => {
+      setTimeout(() => resolve(this.items.slice(start, start + count)), this.delay);
+    });
+  }
+}
@@ -1,5 +1,13 @@
-import {ArrayRepeatStrategy, createFullOverrideContext} from 'aurelia-templating-resources';
-import {updateVirtualOverrideContexts, rebindAndMoveView, getElementDistanceToBottomViewPort} from './utilities';
+import {mergeSplice} from 'aurelia-binding';
+import {ArrayRepeatStrategy, updateOverrideContext} from 'aurelia-templating-resources';
+import {
+  updateVirtualOverrideContexts,
+  rebindAndMoveView,
+  createItemOverrideContext,
+  setViewItem,
+  getViewItem,
+  insertBeforeNode
+} from './utilities';
 
 /**
 * A strategy for repeating a template over an array.
@@ -7,27 +15,60 @@ import {updateVirtualOverrideContexts, rebindAndMoveView, getElementDistanceToBo
 export class ArrayVirtualRepeatStrategy extends ArrayRepeatStrategy {
   // create first item to calculate the heights
   createFirstItem(repeat: VirtualRepeat): void {
-    let overrideContext = createFullOverrideContext(repeat, repeat.items[0], 0, 1);
+    let overrideContext = createItemOverrideContext(repeat, this.getItem(repeat, 0), 0, 1);
     repeat.addView(overrideContext.bindingContext, overrideContext);
   }
+
+  /**
+  * Gets the number of items of the repeat's collection.
+  */
+  count(repeat: VirtualRepeat): number {
+    return repeat.items.length;
+  }
+
+  /**
+  * Gets the item of the repeat's collection at index.
+  */
+  getItem(repeat: VirtualRepeat, index: number): any {
+    return repeat.items[index];
+  }
+
+  /**
+  * Gets the index of an item in the repeat's collection, or -1.
+  */
+  indexOf(repeat: VirtualRepeat, item: any): number {
+    return repeat.items.indexOf(item);
+  }
+
   /**
   * Handle the repeat's collection instance changing.
   * @param repeat The repeater instance.
   * @param items The new array instance.
   */
   instanceChanged(repeat: VirtualRepeat, items: Array<any>, ...rest): void {
-    this._inPlaceProcessItems(repeat, items, rest[0]);
+    this._processItems(repeat, rest[0]);
+  }
+
+  /**
+  * Binds the views to the items starting at first, matching them by key when the repeater has one.
+  */
+  _processItems(repeat: VirtualRepeat, first: number): void {
+    if (repeat.itemKey === null || repeat.itemKey === undefined) {
+      this._inPlaceProcessItems(repeat, first);
+    } else {
+      this._keyedProcessItems(repeat, first);
+    }
   }
 
   _standardProcessInstanceChanged(repeat: VirtualRepeat, items: Array<any>): void {
     for (let i = 1, ii = repeat._viewsLength; i < ii; ++i) {
-      let overrideContext = createFullOverrideContext(repeat, items[i], i, ii);
+      let overrideContext = createItemOverrideContext(repeat, items[i], i, ii);
       repeat.addView(overrideContext.bindingContext, overrideContext);
     }
   }
 
-  _inPlaceProcessItems(repeat: VirtualRepeat, items: Array<any>, first: number): void {
-    let itemsLength = items.length;
+  _inPlaceProcessItems(repeat: VirtualRepeat, first: number): void {
+    let itemsLength = this.count(repeat);
     let viewsLength = repeat.viewCount();
     /*
       Get index of first view is looking at the view which is from the ViewSlot
@@ -41,33 +82,111 @@ export class ArrayVirtualRepeatStrategy extends ArrayRepeatStrategy {
       viewsLength--;
       repeat.removeView(viewsLength, true);
     }
-    // avoid repeated evaluating the property-getter for the "local" property.
-    let local = repeat.local;
     // re-evaluate bindings on existing views.
     for (let i = 0; i < viewsLength; i++) {
       let view = repeat.view(i);
       let last = i === itemsLength - 1;
       let middle = i !== 0 && !last;
-      // any changes to the binding context?
-      if (view.bindingContext[local] === items[i + first] && view.overrideContext.$middle === middle && view.overrideContext.$last === last) {
+      // update the binding context, any changes?
+      let itemChanged = setViewItem(repeat, view, this.getItem(repeat, i + first));
+      if (!itemChanged && view.overrideContext.$middle === middle && view.overrideContext.$last === last) {
         // no changes. continue...
         continue;
       }
-      // update the binding context and refresh the bindings.
-      view.bindingContext[local] = items[i + first];
+      // refresh the bindings.
       view.overrideContext.$middle = middle;
       view.overrideContext.$last = last;
       view.overrideContext.$index = i + first;
       repeat.updateBindings(view);
     }
     // add new views
-    let minLength = Math.min(repeat._viewsLength, items.length);
+    let minLength = Math.min(repeat._viewsLength, itemsLength);
     for (let i = viewsLength; i < minLength; i++) {
-      let overrideContext = createFullOverrideContext(repeat, items[i], i, itemsLength);
+      let overrideContext = createItemOverrideContext(repeat, this.getItem(repeat, i), i, itemsLength);
       repeat.addView(overrideContext.bindingContext, overrideContext);
     }
   }
 
+  /**
+  * Binds the views to the items starting at first like _inPlaceProcessItems, but keeps every view
+  * with the item of the same key and moves it into place instead of binding it to another item.
+  * Views without a match are rebound to the remaining items.
+  */
+  _keyedProcessItems(repeat: VirtualRepeat, first: number): void {
+    let itemsLength = this.count(repeat);
+    let viewSlot = repeat.viewSlot;
+    let views = viewSlot.children.slice(0);
+    let length = Math.min(Math.max(views.length, repeat._viewsLength), itemsLength);
+    let viewsByKey = new Map();
+    for (let i = 0, ii = views.length; i < ii; ++i) {
+      let key = repeat._getItemKey(getViewItem(repeat, views[i]));
+      if (key !== undefined && !viewsByKey.has(key)) {
+        viewsByKey.set(key, views[i]);
+      }
+    }
+
+    // keep the views of the items that are still there
+    let order = new Array(length);
+    let items = new Array(length);
+    let matched = new Set();
+    for (let i = 0; i < length; ++i) {
+      let item = items[i] = this.getItem(repeat, first + i);
+      let key = repeat._getItemKey(item);
+      let view = key === undefined ? undefined : viewsByKey.get(key);
+      if (view !== undefined && !matched.has(view)) {
+        order[i] = view;
+        matched.add(view);
+      }
+    }
+
+    // rebind the other views to the new items, create or remove views for the difference
+    let unmatched = views.filter(view => !matched.has(view));
+    for (let i = 0; i < length; ++i) {
+      if (order[i] === undefined) {
+        if (unmatched.length > 0) {
+          order[i] = unmatched.shift();
+        } else {
+          let overrideContext = createItemOverrideContext(repeat, items[i], first + i, itemsLength);
+          repeat.addView(overrideContext.bindingContext, overrideContext);
+          order[i] = repeat.view(repeat.viewCount() - 1);
+        }
+      }
+    }
+    for (let i = 0, ii = unmatched.length; i < ii; ++i) {
+      repeat.removeView(viewSlot.children.indexOf(unmatched[i]), true, true);
+    }
+
+    // move the views that are out of order, the longest run already in order stays in place
+    let children = viewSlot.children;
+    let positions = new Map();
+    for (let i = 0, ii = children.length; i < ii; ++i) {
+      positions.set(children[i], i);
+    }
+    let inPlace = longestIncreasingSubsequence(order.map(view => positions.get(view)));
+    for (let i = length - 1; i >= 0; --i) {
+      if (inPlace.has(i)) {
+        continue;
+      }
+      if (i === length - 1) {
+        repeat.templateStrategy.moveViewLast(order[i], repeat.bottomBuffer);
+      } else {
+        insertBeforeNode(order[i], order[i + 1].firstChild);
+      }
+    }
+    children.splice(0, children.length, ...order);
+
+    for (let i = 0; i < length; ++i) {
+      let view = order[i];
+      let itemChanged = setViewItem(repeat, view, items[i]);
+      let overrideContext = view.overrideContext;
+      if (!itemChanged && overrideContext.$index === first + i && overrideContext.$last === (first + i === itemsLength - 1)) {
+        continue;
+      }
+      updateOverrideContext(overrideContext, first + i, itemsLength);
+      repeat.updateBindings(view);
+    }
+  }
+
   /**
   * Handle the repeat's collection instance mutating.
   * @param repeat The repeat instance.
@@ -75,6 +194,7 @@ export class ArrayVirtualRepeatStrategy extends ArrayRepeatStrategy {
   * @param splices Records of array changes.
   */
   instanceMutated(repeat: VirtualRepeat, array: Array<any>, splices: any): void {
+    repeat._sizeCache.applySplices(splices);
     this._standardProcessInstanceMutated(repeat, array, splices);
   }
 
@@ -84,11 +204,11 @@ export class ArrayVirtualRepeatStrategy extends ArrayRepeatStrategy {
         let {index, removed, addedCount} = splices[i];
         mergeSplice(repeat.__queuedSplices, index, removed, addedCount);
       }
-      repeat.__array = array.slice(0);
+      repeat.__array = this._copyItems(repeat, array);
       return;
     }
 
-    let maybePromise = this._runSplices(repeat, array.slice(0), splices);
+    let maybePromise = this._runSplices(repeat, this._copyItems(repeat, array), splices);
     if (maybePromise instanceof Promise) {
       let queuedSplices = repeat.__queuedSplices = [];
 
@@ -107,6 +227,13 @@ export class ArrayVirtualRepeatStrategy extends ArrayRepeatStrategy {
     }
   }
 
+  /**
+  * Copies the items the splices are rendered with, which may mutate again while views are removed.
+  */
+  _copyItems(repeat: VirtualRepeat, array: Array<any>): Array<any> {
+    return array.slice(0);
+  }
+
   _runSplices(repeat: VirtualRepeat, array: Array<any>, splices: any): any {
     let removeDelta = 0;
     let rmPromises = [];
@@ -121,14 +248,19 @@ export class ArrayVirtualRepeatStrategy extends ArrayRepeatStrategy {
       }
     }
 
-    // if so, optimise by just replacing affected visible views
-    if (allSplicesAreInplace) {
+    // keyed views move along with their items instead
+    if (allSplicesAreInplace && repeat.itemKey !== null && repeat.itemKey !== undefined) {
+      if (repeat.viewCount() > 0) {
+        this._keyedProcessItems(repeat, repeat._getIndexOfFirstView());
+      }
+    } else if (allSplicesAreInplace) {
+      // if so, optimise by just replacing affected visible views
       for (let i = 0; i < splices.length; i++) {
         let splice = splices[i];
         for (let collectionIndex = splice.index; collectionIndex < splice.index + splice.addedCount; collectionIndex++) {
           if (!this._isIndexBeforeViewSlot(repeat, repeat.viewSlot, collectionIndex) && !this._isIndexAfterViewSlot(repeat, repeat.viewSlot, collectionIndex) ) {
             let viewIndex = this._getViewIndex(repeat, repeat.viewSlot, collectionIndex);
-            let overrideContext = createFullOverrideContext(repeat, array[collectionIndex], collectionIndex, array.length);
+            let overrideContext = createItemOverrideContext(repeat, itemAt(array, collectionIndex), collectionIndex, array.length);
             repeat.removeView(viewIndex, true, true);
             repeat.insertView(viewIndex, overrideContext.bindingContext, overrideContext);
           }
@@ -140,7 +272,7 @@ export class ArrayVirtualRepeatStrategy extends ArrayRepeatStrategy {
         let removed = splice.removed;
         let removedLength = removed.length;
         for (let j = 0, jj = removedLength; j < jj; ++j) {
-          let viewOrPromise = this._removeViewAt(repeat, splice.index + removeDelta + rmPromises.length, true, j, removedLength);
+          let viewOrPromise = this._removeViewAt(repeat, array, splice.index + removeDelta + rmPromises.length, true, j, removedLength);
           if (viewOrPromise instanceof Promise) {
             rmPromises.push(viewOrPromise);
           }
@@ -161,7 +293,7 @@ export class ArrayVirtualRepeatStrategy extends ArrayRepeatStrategy {
     return undefined;
   }
 
-  _removeViewAt(repeat: VirtualRepeat, collectionIndex: number, returnToCache: boolean, j: number, removedLength: number): any {
+  _removeViewAt(repeat: VirtualRepeat, array: Array<any>, collectionIndex: number, returnToCache: boolean, j: number, removedLength: number): any {
     let viewOrPromise;
     let view;
     let viewSlot = repeat.viewSlot;
@@ -169,7 +301,7 @@ export class ArrayVirtualRepeatStrategy extends ArrayRepeatStrategy {
     let viewAddIndex;
     let removeMoreThanInDom = removedLength > viewCount;
     if (repeat._viewsLength <= j) {
-      repeat._bottomBufferHeight = repeat._bottomBufferHeight - (repeat.itemHeight);
+      repeat._bottomBufferCount--;
       repeat._adjustBufferHeights();
       return;
     }
@@ -178,39 +310,39 @@ export class ArrayVirtualRepeatStrategy extends ArrayRepeatStrategy {
     if (!this._isIndexBeforeViewSlot(repeat, viewSlot, collectionIndex) && !this._isIndexAfterViewSlot(repeat, viewSlot, collectionIndex)) {
       let viewIndex = this._getViewIndex(repeat, viewSlot, collectionIndex);
       viewOrPromise = repeat.removeView(viewIndex, returnToCache);
-      if (repeat.items.length > viewCount) {
+      if (array.length > viewCount) {
         // TODO: do not trigger view lifecycle here
         let collectionAddIndex;
-        if (repeat._bottomBufferHeight > repeat.itemHeight) {
+        if (repeat._bottomBufferCount > 1) {
           viewAddIndex = viewCount;
           if (!removeMoreThanInDom) {
-            let lastViewItem = repeat._getLastViewItem();
-            collectionAddIndex = repeat.items.indexOf(lastViewItem) + 1;
+            let lastView = repeat.view(repeat.viewCount() - 1);
+            collectionAddIndex = lastView ? this._indexOfView(repeat, array, lastView) + 1 : 0;
           } else {
             collectionAddIndex = j;
           }
-          repeat._bottomBufferHeight = repeat._bottomBufferHeight - (repeat.itemHeight);
-        } else if (repeat._topBufferHeight > 0) {
+          repeat._bottomBufferCount--;
+        } else if (repeat._topBufferCount > 0) {
           viewAddIndex = 0;
           collectionAddIndex = repeat._getIndexOfFirstView() - 1;
-          repeat._topBufferHeight = repeat._topBufferHeight - (repeat.itemHeight);
+          repeat._topBufferCount--;
         }
-        let data = repeat.items[collectionAddIndex];
+        let data = itemAt(array, collectionAddIndex);
         if (data) {
-          let overrideContext = createFullOverrideContext(repeat, data, collectionAddIndex, repeat.items.length);
+          let overrideContext = createItemOverrideContext(repeat, data, collectionAddIndex, array.length);
           view = repeat.viewFactory.create();
           view.bind(overrideContext.bindingContext, overrideContext);
         }
       }
     } else if (this._isIndexBeforeViewSlot(repeat, viewSlot, collectionIndex)) {
-      if (repeat._bottomBufferHeight > 0) {
-        repeat._bottomBufferHeight = repeat._bottomBufferHeight - (repeat.itemHeight);
+      if (repeat._bottomBufferCount > 0) {
+        repeat._bottomBufferCount--;
         rebindAndMoveView(repeat, repeat.view(0), repeat.view(0).overrideContext.$index, true);
       } else {
-        repeat._topBufferHeight = repeat._topBufferHeight - (repeat.itemHeight);
+        repeat._topBufferCount--;
       }
     } else if (this._isIndexAfterViewSlot(repeat, viewSlot, collectionIndex)) {
-      repeat._bottomBufferHeight = repeat._bottomBufferHeight - (repeat.itemHeight);
+      repeat._bottomBufferCount--;
     }
 
     if (viewOrPromise instanceof Promise) {
@@ -224,6 +356,13 @@ export class ArrayVirtualRepeatStrategy extends ArrayRepeatStrategy {
     repeat._adjustBufferHeights();
   }
 
+  /**
+  * Gets the index in array of the item rendered by view.
+  */
+  _indexOfView(repeat: VirtualRepeat, array: Array<any>, view: View): number {
+    return array.indexOf(view.bindingContext[repeat.local]);
+  }
+
   _isIndexBeforeViewSlot(repeat: VirtualRepeat, viewSlot: ViewSlot, index: number): number {
     let viewIndex = this._getViewIndex(repeat, viewSlot, index);
     return viewIndex < 0;
@@ -239,8 +378,7 @@ export class ArrayVirtualRepeatStrategy extends ArrayRepeatStrategy {
       return -1;
     }
 
-    let topBufferItems = repeat._topBufferHeight / repeat.itemHeight;
-    return index - topBufferItems;
+    return index - repeat._topBufferCount;
   }
 
   _handleAddedSplices(repeat: VirtualRepeat, array: Array<any>, splices: any): void {
@@ -251,26 +389,26 @@ export class ArrayVirtualRepeatStrategy extends ArrayRepeatStrategy {
       let addIndex = splice.index;
       let end = splice.index + splice.addedCount;
       for (; addIndex < end; ++addIndex) {
-        let hasDistanceToBottomViewPort = getElementDistanceToBottomViewPort(repeat.templateStrategy.getLastElement(repeat.bottomBuffer)) > 0;
+        let hasDistanceToBottomViewPort = repeat.orientation.getElementDistanceToEndOfViewport(repeat.templateStrategy.getLastElement(repeat.bottomBuffer)) > 0;
         if (repeat.viewCount() === 0 || (!this._isIndexBeforeViewSlot(repeat, viewSlot, addIndex) && !this._isIndexAfterViewSlot(repeat, viewSlot, addIndex)) || hasDistanceToBottomViewPort)  {
-          let overrideContext = createFullOverrideContext(repeat, array[addIndex], addIndex, arrayLength);
+          let overrideContext = createItemOverrideContext(repeat, itemAt(array, addIndex), addIndex, arrayLength);
           repeat.insertView(addIndex, overrideContext.bindingContext, overrideContext);
           if (!repeat._hasCalculatedSizes) {
             repeat._calcInitialHeights(1);
           } else if (repeat.viewCount() > repeat._viewsLength) {
             if (hasDistanceToBottomViewPort) {
               repeat.removeView(0, true, true);
-              repeat._topBufferHeight = repeat._topBufferHeight + repeat.itemHeight;
+              repeat._topBufferCount++;
               repeat._adjustBufferHeights();
             } else {
               repeat.removeView(repeat.viewCount() - 1, true, true);
-              repeat._bottomBufferHeight = repeat._bottomBufferHeight + repeat.itemHeight;
+              repeat._bottomBufferCount++;
             }
           }
         } else if (this._isIndexBeforeViewSlot(repeat, viewSlot, addIndex)) {
-          repeat._topBufferHeight = repeat._topBufferHeight + repeat.itemHeight;
+          repeat._topBufferCount++;
         } else if (this._isIndexAfterViewSlot(repeat, viewSlot, addIndex)) {
-          repeat._bottomBufferHeight = repeat._bottomBufferHeight + repeat.itemHeight;
+          repeat._bottomBufferCount++;
           repeat.isLastIndex = false;
         }
       }
@@ -278,3 +416,38 @@ export class ArrayVirtualRepeatStrategy extends ArrayRepeatStrategy {
     repeat._adjustBufferHeights();
   }
 }
+
+/**
+* Gets the item at index of the array, or of the items of a VirtualRepeatStrategy, see StrategyItems.
+*/
+function itemAt(array: any, index: number): any {
+  return Array.isArray(array) ? array[index] : array.item(index);
+}
+
+/**
+* Gets the indexes of a longest strictly increasing run of values, which do not have to be adjacent.
+*/
+function longestIncreasingSubsequence(values: Array<number>): Set<number> {
+  // tails[k] is the index of the smallest value ending an increasing run of length k + 1
+  let tails = [];
+  let previous = new Array(values.length);
+  for (let i = 0, ii = values.length; i < ii; ++i) {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      let middle = (low + high) >> 1;
+      if (values[tails[middle]] < values[i]) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    previous[i] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = i;
+  }
+  let result = new Set();
+  for (let i = tails.length > 0 ? tails[tails.length - 1] : -1; i >= 0; i = previous[i]) {
+    result.add(i);
+  }
+  return result;
+}
@@ -1,15 +1,32 @@
-import {PLATFORM} from 'aurelia-pal'
+import {PLATFORM} from 'aurelia-pal';
 import {VirtualRepeat} from './virtual-repeat';
 import {InfiniteScrollNext} from './infinite-scroll-next';
+import {VirtualRepeatLoading, VirtualRepeatEmpty, VirtualRepeatError} from './virtual-repeat-part';
+import {ArrayDataProvider} from './array-data-provider';
+import {placeholder, isPlaceholder} from './data-provider-virtual-repeat-strategy';
+import {VirtualizationConfiguration} from './virtualization-configuration';
+import {VirtualRepeatStrategy} from './virtual-repeat-strategy';
+import {DefaultTemplateStrategy} from './template-strategy';
 
-export function configure(config) {
+export function configure(config, options) {
+  config.container.get(VirtualizationConfiguration).apply(options);
   config.globalResources(
     PLATFORM.moduleName('./virtual-repeat'),
-    PLATFORM.moduleName('./infinite-scroll-next')
+    PLATFORM.moduleName('./infinite-scroll-next'),
+    PLATFORM.moduleName('./virtual-repeat-part')
   );
 }
 
 export {
   VirtualRepeat,
-  InfiniteScrollNext
+  InfiniteScrollNext,
+  VirtualRepeatLoading,
+  VirtualRepeatEmpty,
+  VirtualRepeatError,
+  ArrayDataProvider,
+  VirtualizationConfiguration,
+  VirtualRepeatStrategy,
+  DefaultTemplateStrategy,
+  placeholder,
+  isPlaceholder
 };
@@ -0,0 +1,55 @@
+import {ArrayVirtualRepeatStrategy} from './array-virtual-repeat-strategy';
+
+/**
+* A base class for strategies of collections without indexes, e.g. Set and Map.
+* The collection is copied into an array in insertion order, which is rendered like an array.
+* Subclasses translate the change records of the collection into splices of that array.
+*/
+export class CollectionVirtualRepeatStrategy extends ArrayVirtualRepeatStrategy {
+  constructor() {
+    super();
+    // the copies of the collections by repeater, the strategy renders the collections of every repeater
+    this._copies = new WeakMap();
+  }
+
+  count(repeat: VirtualRepeat): number {
+    return repeat.items.size;
+  }
+
+  getItem(repeat: VirtualRepeat, index: number): any {
+    return this._getItems(repeat)[index];
+  }
+
+  /**
+  * Handle the repeat's collection instance changing.
+  * @param repeat The repeater instance.
+  * @param items The new collection.
+  */
+  instanceChanged(repeat: VirtualRepeat, items: any, ...rest): void {
+    this._getItems(repeat, true);
+    this._processItems(repeat, rest[0]);
+  }
+
+  /**
+  * Renders the splices of the copy, which is copied again from the mutated collection.
+  */
+  _applySplices(repeat: VirtualRepeat, splices: Array<any>): void {
+    let array = this._getItems(repeat, true);
+    if (splices.length > 0) {
+      super.instanceMutated(repeat, array, splices);
+    }
+  }
+
+  /**
+  * Gets the copy of the collection of the repeater.
+  * @param refresh Whether the collection is copied again, after it mutated.
+  */
+  _getItems(repeat: VirtualRepeat, refresh?: boolean): Array<any> {
+    let copy = this._copies.get(repeat);
+    if (refresh || copy === undefined || copy.source !== repeat.items) {
+      copy = { source: repeat.items, items: Array.from(repeat.items) };
+      this._copies.set(repeat, copy);
+    }
+    return copy.items;
+  }
+}
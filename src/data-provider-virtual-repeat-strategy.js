@@ -0,0 +1,184 @@
+import {ObserverLocator} from 'aurelia-binding';
+import {ArrayVirtualRepeatStrategy} from './array-virtual-repeat-strategy';
+import {setViewItem} from './utilities';
+
+interface DataProvider {
+  length: number;
+  pageSize?: number;
+  getRange(start: number, count: number): Promise<Array<any>>;
+}
+
+/**
+* The item rendered in place of the items of a page that is still loading.
+*/
+export const placeholder = { $placeholder: true };
+
+/**
+* Whether an item is rendered in place of the items of a page that is loading or failed to load.
+*/
+export function isPlaceholder(item: any): boolean {
+  return item !== null && item !== undefined && item.$placeholder === true;
+}
+
+/**
+* A strategy for repeating a template over a data provider, which knows the total number of
+* items but loads them a page at a time. Only the pages of the rendered items are requested,
+* placeholders are rendered until they arrive and pages far away from the rendered items are evicted.
+* A page that fails to load is requested again a few times, then its rows render a placeholder holding the error.
+*/
+export class DataProviderVirtualRepeatStrategy extends ArrayVirtualRepeatStrategy {
+  defaultPageSize = 100;
+
+  /**
+  * The time in milliseconds after which a page that failed to load is requested again,
+  * doubled for each further attempt.
+  */
+  retryDelay = 1000;
+
+  /**
+  * How many times a page that failed to load is requested again before its rows show the error.
+  */
+  retryCount = 3;
+
+  getCollectionObserver(observerLocator: ObserverLocator, items: DataProvider): any {
+    return null;
+  }
+
+  count(repeat: VirtualRepeat): number {
+    return repeat.items.length;
+  }
+
+  getItem(repeat: VirtualRepeat, index: number): any {
+    if (index < 0 || index >= this.count(repeat)) {
+      return undefined;
+    }
+    let pageSize = this._getPageSize(repeat);
+    let pageIndex = Math.floor(index / pageSize);
+    let page = this._getPages(repeat).get(pageIndex);
+    if (page === undefined) {
+      this._loadPage(repeat, pageIndex);
+      return placeholder;
+    }
+    if (page.items === null) {
+      return page.failed === null ? placeholder : page.failed;
+    }
+    return page.items[index - pageIndex * pageSize];
+  }
+
+  /**
+  * Gets the index of an item, looking only at the pages that are loaded.
+  */
+  indexOf(repeat: VirtualRepeat, item: any): number {
+    let pageSize = this._getPageSize(repeat);
+    let result = -1;
+    this._getPages(repeat).forEach((page, pageIndex) => {
+      let index = page.items === null ? -1 : page.items.indexOf(item);
+      if (index !== -1 && result === -1) {
+        result = pageIndex * pageSize + index;
+      }
+    });
+    return result;
+  }
+
+  _getPageSize(repeat: VirtualRepeat): number {
+    return repeat.items.pageSize || this.defaultPageSize;
+  }
+
+  _getPages(repeat: VirtualRepeat): Map<number, any> {
+    if (repeat.__pages === undefined || repeat.__pagesSource !== repeat.items) {
+      repeat.__pages = new Map();
+      repeat.__pagesSource = repeat.items;
+    }
+    return repeat.__pages;
+  }
+
+  _loadPage(repeat: VirtualRepeat, pageIndex: number): void {
+    let page = { items: null, failures: 0, failed: null };
+    this._getPages(repeat).set(pageIndex, page);
+    this._requestPage(repeat, pageIndex, page);
+  }
+
+  /**
+  * Gets the items of a page from the provider. After a failure the page is requested again with
+  * a growing delay, once the retries are used up its rows render a placeholder with the error as $error
+  * and $retry() requesting the page again.
+  */
+  _requestPage(repeat: VirtualRepeat, pageIndex: number, page: any): void {
+    let provider = repeat.items;
+    let pages = this._getPages(repeat);
+    let pageSize = this._getPageSize(repeat);
+    let start = pageIndex * pageSize;
+    let count = Math.min(pageSize, provider.length - start);
+    // the page was evicted or the provider was replaced while loading
+    let isCurrent = () => pages.get(pageIndex) === page && repeat.items === provider;
+    // a provider throwing instead of returning a rejected promise fails the page the same way
+    Promise.resolve().then(() => provider.getRange(start, count)).then(items => {
+      if (!isCurrent()) {
+        return;
+      }
+      page.items = items;
+      this._evictPages(repeat);
+      this._updateViews(repeat, start, items.length);
+    }, error => {
+      if (!isCurrent()) {
+        return;
+      }
+      if (page.failures < this.retryCount) {
+        let delay = this.retryDelay * Math.pow(2, page.failures++);
+        repeat.configuration.log(`virtual-repeat failed to get the items from ${start}, requesting them again in ${delay}ms`, error);
+        setTimeout(() => {
+          if (repeat._isAttached && isCurrent()) {
+            this._requestPage(repeat, pageIndex, page);
+          }
+        }, delay);
+        return;
+      }
+      repeat.configuration.logError(`virtual-repeat failed to get the items from ${start}`, error);
+      page.failed = {
+        $placeholder: true,
+        $error: error,
+        $retry: () => {
+          if (repeat._isAttached && isCurrent()) {
+            pages.delete(pageIndex);
+            this._updateViews(repeat, start, count);
+          }
+        }
+      };
+      this._updateViews(repeat, start, count);
+    });
+  }
+
+  /**
+  * Drops the pages that are more than a rendered range of views away from the rendered views.
+  */
+  _evictPages(repeat: VirtualRepeat): void {
+    let first = repeat._getIndexOfFirstView();
+    if (first === -1) {
+      return;
+    }
+    let pageSize = this._getPageSize(repeat);
+    let firstPage = Math.floor((first - repeat._viewsLength) / pageSize);
+    let lastPage = Math.floor((repeat._getIndexOfLastView() + repeat._viewsLength) / pageSize);
+    let pages = this._getPages(repeat);
+    pages.forEach((page, pageIndex) => {
+      if (pageIndex < firstPage || pageIndex > lastPage) {
+        pages.delete(pageIndex);
+      }
+    });
+  }
+
+  /**
+  * Replaces the placeholders of the rendered views with the items of a loaded page.
+  */
+  _updateViews(repeat: VirtualRepeat, start: number, count: number): void {
+    let views = repeat.views();
+    for (let i = 0, ii = views.length; i < ii; ++i) {
+      let view = views[i];
+      let index = view.overrideContext.$index;
+      if (index >= start && index < start + count && setViewItem(repeat, view, this.getItem(repeat, index))) {
+        repeat.updateBindings(view);
+      }
+    }
+    repeat._queueMeasureViews();
+  }
+}
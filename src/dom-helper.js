@@ -8,8 +8,97 @@ export class DomHelper {
     return  Math.round(top);
   }
 
+  getElementDistanceToLeftOfDocument(element: Element): number {
+    let box = element.getBoundingClientRect();
+    let documentElement = document.documentElement;
+    let scrollLeft = window.pageXOffset;
+    let clientLeft = documentElement.clientLeft;
+    let left = box.left + scrollLeft - clientLeft;
+    return Math.round(left);
+  }
+
   hasOverflowScroll(element: Element): boolean {
-    let style = element.style;
-    return style.overflowY === 'scroll' || style.overflow === 'scroll' || style.overflowY === 'auto' || style.overflow === 'auto';
+    return isScrollingOverflow(window.getComputedStyle(element).overflowY);
+  }
+
+  hasHorizontalOverflowScroll(element: Element): boolean {
+    return isScrollingOverflow(window.getComputedStyle(element).overflowX);
+  }
+
+  /**
+  * Whether the size of an element along the given axis is constrained rather than growing with its content,
+  * e.g. by a height or max-height. An element with overflow: auto and an auto height never scrolls.
+  * Decided from the computed style and the size of the content, without changing the element.
+  */
+  constrainsSize(element: Element, horizontal: boolean): boolean {
+    let clientSize = horizontal ? element.clientWidth : element.clientHeight;
+    if ((horizontal ? element.scrollWidth : element.scrollHeight) > clientSize) {
+      return true;
+    }
+    let style = window.getComputedStyle(element);
+    if ((horizontal ? style.maxWidth : style.maxHeight) !== 'none') {
+      return true;
+    }
+    if (horizontal && fillsContainingWidth(element, style)) {
+      return true;
+    }
+    // an element sized by its content is as large as its content, one sized otherwise may be larger
+    return clientSize - getContentSize(element, style, horizontal) >= 1;
+  }
+
+  /**
+  * Gets the nearest element, starting with element itself, whose computed overflow lets it scroll
+  * along the given axis and whose size is constrained, or null when only the document scrolls it.
+  */
+  findScrollContainer(element: Element, horizontal: boolean): Element {
+    let documentElement = document.documentElement;
+    for (let node = element; node && node !== document.body && node !== documentElement; node = node.parentNode) {
+      if (node.nodeType === 1
+        && (horizontal ? this.hasHorizontalOverflowScroll(node) : this.hasOverflowScroll(node))
+        && this.constrainsSize(node, horizontal)) {
+        return node;
+      }
+    }
+    return null;
+  }
+}
+
+function isScrollingOverflow(overflow: string): boolean {
+  return overflow === 'scroll' || overflow === 'auto' || overflow === 'overlay';
+}
+
+/**
+* Whether an element is as wide as its containing block whatever its content, like a block in normal flow.
+*/
+function fillsContainingWidth(element: Element, style: CSSStyleDeclaration): boolean {
+  if (style.float !== 'none' || style.position === 'absolute' || style.position === 'fixed'
+    || ['block', 'flex', 'grid', 'list-item', 'flow-root'].indexOf(style.display) === -1) {
+    return false;
+  }
+  // the items of a flex row are as wide as their content unless they grow
+  let parentStyle = element.parentNode && element.parentNode.nodeType === 1 ? window.getComputedStyle(element.parentNode) : null;
+  return parentStyle === null
+    || parentStyle.display.indexOf('flex') === -1
+    || parentStyle.flexDirection.indexOf('column') === 0;
+}
+
+/**
+* Gets the size of the content of an element along the given axis, its padding included:
+* the distance from the start of its padding to the end of the margin of its furthest child.
+*/
+function getContentSize(element: Element, style: CSSStyleDeclaration, horizontal: boolean): number {
+  let box = element.getBoundingClientRect();
+  let start = horizontal ? box.left + element.clientLeft : box.top + element.clientTop;
+  let end = start + parseFloat(horizontal ? style.paddingLeft : style.paddingTop);
+  for (let child = element.firstElementChild; child; child = child.nextElementSibling) {
+    if (child.getClientRects().length === 0) {
+      continue;
+    }
+    let childBox = child.getBoundingClientRect();
+    let childStyle = window.getComputedStyle(child);
+    end = Math.max(end, horizontal
+      ? childBox.right + parseFloat(childStyle.marginRight)
+      : childBox.bottom + parseFloat(childStyle.marginBottom));
   }
+  return end - start + parseFloat(horizontal ? style.paddingRight : style.paddingBottom);
 }
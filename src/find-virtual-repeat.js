@@ -0,0 +1,15 @@
+import {VirtualRepeat} from './virtual-repeat';
+
+/**
+* Finds the first virtual-repeat within an element, by the controller stored on its anchor.
+*/
+export function findVirtualRepeat(element: Node): VirtualRepeat {
+  let walker = document.createTreeWalker(element, NodeFilter.SHOW_COMMENT, null, false);
+  for (let node = walker.nextNode(); node !== null; node = walker.nextNode()) {
+    let controller = node.au && node.au.controller;
+    if (controller && controller.viewModel instanceof VirtualRepeat) {
+      return controller.viewModel;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,114 @@
+import {ObserverLocator} from 'aurelia-binding';
+import {VirtualRepeatStrategy} from './virtual-repeat-strategy';
+import {GroupEntry} from './utilities';
+
+/**
+* Renders the items of another strategy in groups, each one preceded by the header of the group.
+* With group-by, the groups are the runs of consecutive items with the same key, so the items are expected
+* to be sorted by it. With group-items, the items are the groups and the named property of each group holds its items.
+* Created by the repeater for its items, the entries of the stream are computed again whenever the items change.
+* The groups of group-by are kept by their key across these updates, so that a header keeps its group object.
+*/
+export class GroupVirtualRepeatStrategy extends VirtualRepeatStrategy {
+  /**
+  * @param strategy The strategy of the items of the repeater.
+  * @param groupBy The name of the property holding the key of an item, or a function returning it.
+  * @param groupItems The name of the property of a group holding its items.
+  * @param groups The groups of group-by of the previous strategy of the repeater, by their key.
+  */
+  constructor(strategy: any, groupBy: any, groupItems: string, groups: Map<any, any> = new Map()) {
+    super();
+    this.strategy = strategy;
+    this.groupBy = groupBy;
+    this.groupItems = groupItems;
+    this.entries = [];
+    this.groups = groups;
+  }
+
+  /**
+  * Computes the groups and the entries of the stream from the items of the repeater.
+  */
+  update(repeat: VirtualRepeat): void {
+    let entries = [];
+    let groups = this.groupItems ? this._getGroups(repeat) : this._groupBy(repeat);
+    for (let i = 0, ii = groups.length; i < ii; ++i) {
+      let { group, items } = groups[i];
+      let headerIndex = entries.length;
+      let nextHeaderIndex = headerIndex + items.length + 1;
+      entries.push(new GroupEntry(group, true, undefined, headerIndex, nextHeaderIndex));
+      for (let j = 0, jj = items.length; j < jj; ++j) {
+        entries.push(new GroupEntry(group, false, items[j], headerIndex, nextHeaderIndex));
+      }
+    }
+    this.entries = entries;
+  }
+
+  /**
+  * Observes the items of the repeater, a mutation computes the groups again.
+  */
+  getCollectionObserver(observerLocator: ObserverLocator, items: any): any {
+    return this.strategy.getCollectionObserver(observerLocator, items);
+  }
+
+  count(repeat: VirtualRepeat): number {
+    return this.entries.length;
+  }
+
+  getItem(repeat: VirtualRepeat, index: number): GroupEntry {
+    return this.entries[index];
+  }
+
+  /**
+  * Gets the index of an entry in the stream, or of the entry rendering an item of a group.
+  */
+  indexOf(repeat: VirtualRepeat, item: any): number {
+    let entries = this.entries;
+    for (let i = 0, ii = entries.length; i < ii; ++i) {
+      let entry = entries[i];
+      if (item instanceof GroupEntry
+        ? entry.group === item.group && entry.isHeader === item.isHeader && entry.item === item.item
+        : !entry.isHeader && entry.item === item) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  _groupBy(repeat: VirtualRepeat): Array<any> {
+    let strategy = this.strategy;
+    let groupBy = this.groupBy;
+    let previousGroups = this.groups;
+    let groupsByKey = new Map();
+    let groups = [];
+    let current = null;
+    for (let i = 0, ii = strategy.count(repeat); i < ii; ++i) {
+      let item = strategy.getItem(repeat, i);
+      let key = typeof groupBy === 'function' ? groupBy(item) : item[groupBy];
+      if (current === null || current.group.key !== key) {
+        // a key of several runs of items keeps its group for the first one only
+        let isFirstRun = !groupsByKey.has(key);
+        let group = isFirstRun && previousGroups.get(key) || { key };
+        group.items = [];
+        if (isFirstRun) {
+          groupsByKey.set(key, group);
+        }
+        current = { group, items: group.items };
+        groups.push(current);
+      }
+      current.items.push(item);
+    }
+    this.groups = groupsByKey;
+    return groups;
+  }
+
+  _getGroups(repeat: VirtualRepeat): Array<any> {
+    let strategy = this.strategy;
+    let groups = [];
+    for (let i = 0, ii = strategy.count(repeat); i < ii; ++i) {
+      let group = strategy.getItem(repeat, i);
+      let items = group[this.groupItems];
+      groups.push({ group, items: items ? Array.from(items) : [] });
+    }
+    return groups;
+  }
+}
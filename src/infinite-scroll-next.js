@@ -1,16 +1,81 @@
+import {inject, Container} from 'aurelia-dependency-injection';
 import {customAttribute} from 'aurelia-templating';
+import {DOM} from 'aurelia-pal';
+import {VirtualRepeat} from './virtual-repeat';
+import {findVirtualRepeat} from './find-virtual-repeat';
 
-//Placeholder attribute to prohibit use of this attribute name in other places
-
+/**
+* Loads more items when a virtual-repeat scrolls near the end of its items. Placed on the repeated element
+* or on an element within its template, the repeater reads it from its template, so it works without any
+* rendered view. Placed on an element wrapping the repeater, it registers itself with the first repeater inside.
+* The value is the name of a method of the binding context, called with (topIndex, isAtBottom, isAtTop, signal, scrollContext),
+* or with .call an expression evaluated with $scrollContext.
+*/
 @customAttribute('infinite-scroll-next')
+@inject(DOM.Element, Container)
 export class InfiniteScrollNext {
-
-  constructor() {}
-
-  attached() {}
+  constructor(element: Element, container: Container) {
+    this.element = element;
+    this.container = container;
+    this.scope = null;
+    this.repeat = null;
+  }
 
   bind(bindingContext, overrideContext): void {
     this.scope = { bindingContext, overrideContext };
   }
 
+  unbind(): void {
+    this.scope = null;
+  }
+
+  attached(): void {
+    if (this._isInRepeatedTemplate()) {
+      return;
+    }
+    this.repeat = findVirtualRepeat(this.element);
+    if (this.repeat === null) {
+      throw new Error('infinite-scroll-next must be placed on an element with virtual-repeat or on an element containing one');
+    }
+    this.repeat._registerLoader(this);
+  }
+
+  detached(): void {
+    if (this.repeat !== null) {
+      this.repeat._unregisterLoader(this);
+      this.repeat = null;
+    }
+  }
+
+  /**
+  * Calls the loader.
+  * @param scrollContext The position of the repeater, see VirtualRepeat._getMore.
+  * @returns What the loader returns, e.g. a promise settling when the items are loaded.
+  */
+  load(scrollContext: any): any {
+    let value = this.value;
+    if (typeof value === 'string') {
+      let bindingContext = this.scope.bindingContext;
+      let func = bindingContext[value];
+      if (typeof func === 'function') {
+        return func.call(bindingContext, scrollContext.topIndex, scrollContext.isAtBottom, scrollContext.isAtTop, scrollContext.signal, scrollContext);
+      }
+    } else if (typeof value === 'function') {
+      // the function set by a .call binding, which adds the properties of its argument to the scope
+      return value({ $scrollContext: scrollContext });
+    }
+    throw new Error("'infinite-scroll-next' must be a function or evaluate to one");
+  }
+
+  /**
+  * Whether the attribute is rendered by a repeater whose template declares it, which calls the loader itself.
+  */
+  _isInRepeatedTemplate(): boolean {
+    let container = this.container;
+    if (!container.hasResolver(VirtualRepeat, true)) {
+      return false;
+    }
+    let instruction = container.get(VirtualRepeat)._loaderInstruction;
+    return instruction !== null && container.instruction.behaviorInstructions.indexOf(instruction) !== -1;
+  }
 }
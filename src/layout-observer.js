@@ -0,0 +1,208 @@
+interface LayoutCallbacks {
+  onContainerResize(): void;
+  onViewResize(): void;
+  onLayoutShift(): void;
+  isOwnNode(node: Node): boolean;
+}
+
+/**
+* Tells a virtual repeater about layout changes that do not cause scroll events: its containers
+* changing size, rendered rows changing size and content above the list moving the list.
+* Uses ResizeObserver and MutationObserver where available and falls back to polling.
+* Only the elements before the list are watched for moving it, not the whole document, so that
+* changes elsewhere on the page don't make every repeater check its position.
+*/
+export class LayoutObserver {
+  pollInterval = 500;
+
+  constructor(callbacks: LayoutCallbacks) {
+    this.callbacks = callbacks;
+    this._containerObserver = null;
+    this._viewObserver = null;
+    this._mutationObserver = null;
+    this._shiftObserver = null;
+    this._shiftStart = null;
+    this._shiftRoot = null;
+    this._shiftElements = new Set();
+    this._resizeListener = null;
+    this._pollInterval = null;
+    this._views = new Set();
+    this._shiftQueued = false;
+    this._cancelSized = null;
+  }
+
+  /**
+  * Starts watching for layout changes until disconnect is called.
+  * @param containers The elements whose size decides how many views are rendered.
+  * @param shiftStart The first element of the list, whose position matters.
+  * @param shiftRoot The element the position of the list is relative to, or null when the position
+  * of the list does not matter.
+  * @param observeViewport Whether the size of the viewport decides how many views are rendered.
+  */
+  observe(containers: Array<Element>, shiftStart: Element, shiftRoot: Element, observeViewport: boolean): void {
+    let callbacks = this.callbacks;
+    let pollContainers = false;
+    if (observeViewport) {
+      this._resizeListener = () => callbacks.onContainerResize();
+      window.addEventListener('resize', this._resizeListener);
+    }
+    if (typeof ResizeObserver === 'function') {
+      this._containerObserver = new ResizeObserver(() => callbacks.onContainerResize());
+      containers.forEach(container => this._containerObserver.observe(container));
+      this._viewObserver = new ResizeObserver(() => callbacks.onViewResize());
+    } else {
+      pollContainers = containers.length > 0;
+    }
+    let pollShifts = false;
+    if (shiftRoot) {
+      if (typeof ResizeObserver === 'function' && typeof MutationObserver === 'function') {
+        this._shiftStart = shiftStart;
+        this._shiftRoot = shiftRoot;
+        // called once the frame is laid out, the position of the list can be read right away
+        this._shiftObserver = new ResizeObserver(() => callbacks.onLayoutShift());
+        this._mutationObserver = new MutationObserver(() => this._observeShifts());
+        for (let node = shiftStart; node !== shiftRoot && node.parentNode; node = node.parentNode) {
+          this._mutationObserver.observe(node.parentNode, { childList: true });
+        }
+        this._observeShifts();
+      } else {
+        pollShifts = true;
+      }
+    }
+    if (pollContainers || pollShifts) {
+      this._pollInterval = setInterval(() => {
+        if (pollContainers) {
+          callbacks.onContainerResize();
+        }
+        if (pollShifts) {
+          callbacks.onLayoutShift();
+        }
+      }, this.pollInterval);
+    }
+  }
+
+  /**
+  * Watches the size of the rendered rows, forgetting the rows that are not rendered anymore.
+  */
+  observeViews(elements: Array<Element>): void {
+    let observer = this._viewObserver;
+    if (observer === null) {
+      return;
+    }
+    let views = new Set(elements);
+    this._views.forEach(element => {
+      if (!views.has(element)) {
+        observer.unobserve(element);
+      }
+    });
+    views.forEach(element => {
+      if (!this._views.has(element)) {
+        observer.observe(element);
+      }
+    });
+    this._views = views;
+  }
+
+  /**
+  * Calls callback once, as soon as isSized returns true for element, e.g. when a list rendered
+  * in a hidden tab becomes visible.
+  */
+  whenSized(element: Element, isSized: () => boolean, callback: () => void): void {
+    this.cancelWhenSized();
+    let check = () => {
+      if (isSized()) {
+        this.cancelWhenSized();
+        callback();
+      }
+    };
+    if (typeof ResizeObserver === 'function') {
+      let observer = new ResizeObserver(check);
+      observer.observe(element);
+      this._cancelSized = () => observer.disconnect();
+    } else {
+      let interval = setInterval(check, this.pollInterval);
+      this._cancelSized = () => clearInterval(interval);
+    }
+  }
+
+  cancelWhenSized(): void {
+    if (this._cancelSized !== null) {
+      this._cancelSized();
+      this._cancelSized = null;
+    }
+  }
+
+  disconnect(): void {
+    if (this._containerObserver !== null) {
+      this._containerObserver.disconnect();
+      this._containerObserver = null;
+    }
+    if (this._viewObserver !== null) {
+      this._viewObserver.disconnect();
+      this._viewObserver = null;
+    }
+    if (this._mutationObserver !== null) {
+      this._mutationObserver.disconnect();
+      this._mutationObserver = null;
+    }
+    if (this._shiftObserver !== null) {
+      this._shiftObserver.disconnect();
+      this._shiftObserver = null;
+    }
+    this._shiftStart = null;
+    this._shiftRoot = null;
+    this._shiftElements = new Set();
+    if (this._resizeListener !== null) {
+      window.removeEventListener('resize', this._resizeListener);
+      this._resizeListener = null;
+    }
+    if (this._pollInterval !== null) {
+      clearInterval(this._pollInterval);
+      this._pollInterval = null;
+    }
+    this.cancelWhenSized();
+    this._views = new Set();
+  }
+
+  /**
+  * Watches the size of the elements before the list: the siblings before the list and before each of
+  * its ancestors up to the shift root. Called again when elements are added to or removed from these
+  * ancestors, an element removed from before the list moves it without resizing anything watched.
+  */
+  _observeShifts(): void {
+    let isOwnNode = this.callbacks.isOwnNode;
+    let elements = new Set();
+    for (let node = this._shiftStart; node !== this._shiftRoot && node.parentNode; node = node.parentNode) {
+      for (let sibling = node.previousElementSibling; sibling !== null; sibling = sibling.previousElementSibling) {
+        if (!isOwnNode(sibling)) {
+          elements.add(sibling);
+        }
+      }
+    }
+    let observer = this._shiftObserver;
+    let removed = false;
+    this._shiftElements.forEach(element => {
+      if (!elements.has(element)) {
+        observer.unobserve(element);
+        removed = true;
+      }
+    });
+    // a new element is reported by the observer once it is laid out
+    elements.forEach(element => {
+      if (!this._shiftElements.has(element)) {
+        observer.observe(element);
+      }
+    });
+    this._shiftElements = elements;
+    if (removed && !this._shiftQueued) {
+      // check the position of the list once the frame is laid out
+      this._shiftQueued = true;
+      requestAnimationFrame(() => {
+        this._shiftQueued = false;
+        if (this._shiftObserver !== null) {
+          this.callbacks.onLayoutShift();
+        }
+      });
+    }
+  }
+}
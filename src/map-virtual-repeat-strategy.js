@@ -0,0 +1,81 @@
+import {ObserverLocator, mergeSplice} from 'aurelia-binding';
+import {CollectionVirtualRepeatStrategy} from './collection-virtual-repeat-strategy';
+
+/**
+* A strategy for repeating a template over a Map.
+* The entries are copied into an array of [key, value] pairs in insertion order, which is
+* rendered like an array and kept in sync by translating the change records of the Map into splices.
+* Use virtual-repeat.for="[key, value] of map" to destructure the entries.
+*/
+export class MapVirtualRepeatStrategy extends CollectionVirtualRepeatStrategy {
+  getCollectionObserver(observerLocator: ObserverLocator, items: Map<any, any>): any {
+    return observerLocator.getMapObserver(items);
+  }
+
+  /**
+  * Gets the index of the entry with the given key.
+  */
+  indexOf(repeat: VirtualRepeat, key: any): number {
+    let entries = this._getItems(repeat);
+    for (let i = 0, ii = entries.length; i < ii; ++i) {
+      if (entries[i][0] === key) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+  * Handle the repeat's collection instance mutating.
+  * @param repeat The repeat instance.
+  * @param map The modified Map.
+  * @param records The change records of the Map.
+  */
+  instanceMutated(repeat: VirtualRepeat, map: Map<any, any>, records: any): void {
+    let entries = this._getItems(repeat);
+    let keys = entries.map(entry => entry[0]);
+    let splices = [];
+    for (let i = 0, ii = records.length; i < ii; ++i) {
+      let record = records[i];
+      let index;
+      switch (record.type) {
+      case 'add':
+        mergeSplice(splices, keys.length, [], 1);
+        keys.push(record.key);
+        break;
+      case 'update':
+        index = keys.indexOf(record.key);
+        mergeSplice(splices, index, [[record.key, record.oldValue]], 1);
+        break;
+      case 'delete':
+        index = keys.indexOf(record.key);
+        if (index !== -1) {
+          keys.splice(index, 1);
+          mergeSplice(splices, index, [[record.key, record.oldValue]], 0);
+        }
+        break;
+      case 'clear':
+        if (keys.length > 0) {
+          mergeSplice(splices, 0, keys.splice(0), 0);
+        }
+        break;
+      default:
+        break;
+      }
+    }
+    this._applySplices(repeat, splices);
+  }
+
+  _indexOfView(repeat: VirtualRepeat, array: Array<any>, view: View): number {
+    if (repeat.key === undefined) {
+      return super._indexOfView(repeat, array, view);
+    }
+    let key = view.bindingContext[repeat.key];
+    for (let i = 0, ii = array.length; i < ii; ++i) {
+      if (array[i][0] === key) {
+        return i;
+      }
+    }
+    return -1;
+  }
+}
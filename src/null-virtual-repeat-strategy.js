@@ -0,0 +1,35 @@
+import {ObserverLocator} from 'aurelia-binding';
+
+/**
+* A strategy for null and undefined, used while the items are not available yet.
+* Renders nothing until the repeat is bound to a collection.
+*/
+export class NullVirtualRepeatStrategy {
+  getCollectionObserver(observerLocator: ObserverLocator, items: any): any {
+    return null;
+  }
+
+  createFirstItem(repeat: VirtualRepeat): void {}
+
+  count(repeat: VirtualRepeat): number {
+    return 0;
+  }
+
+  getItem(repeat: VirtualRepeat, index: number): any {
+    return undefined;
+  }
+
+  indexOf(repeat: VirtualRepeat, item: any): number {
+    return -1;
+  }
+
+  /**
+  * Handle the repeat's collection instance changing.
+  * @param repeat The repeater instance.
+  */
+  instanceChanged(repeat: VirtualRepeat): void {
+    repeat.removeAllViews(true);
+  }
+
+  instanceMutated(repeat: VirtualRepeat, items: any, changes: any): void {}
+}
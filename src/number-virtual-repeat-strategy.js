@@ -0,0 +1,25 @@
+import {ObserverLocator} from 'aurelia-binding';
+import {ArrayVirtualRepeatStrategy} from './array-virtual-repeat-strategy';
+
+/**
+* A strategy for repeating a template over a range of numbers, e.g. virtual-repeat.for="i of 100000".
+* The item of each view is its index, so no array is allocated for the range.
+*/
+export class NumberVirtualRepeatStrategy extends ArrayVirtualRepeatStrategy {
+  getCollectionObserver(observerLocator: ObserverLocator, items: number): any {
+    return null;
+  }
+
+  count(repeat: VirtualRepeat): number {
+    let count = Math.floor(repeat.items);
+    return count > 0 ? count : 0;
+  }
+
+  getItem(repeat: VirtualRepeat, index: number): any {
+    return index < this.count(repeat) ? index : undefined;
+  }
+
+  indexOf(repeat: VirtualRepeat, item: any): number {
+    return typeof item === 'number' && item >= 0 && item < this.count(repeat) && item % 1 === 0 ? item : -1;
+  }
+}
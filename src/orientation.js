@@ -0,0 +1,173 @@
+import {calcOuterHeight, calcOuterWidth, getStyleValue, getElementDistanceToBottomViewPort, getElementDistanceToRightViewPort} from './utilities';
+import {DomHelper} from './dom-helper';
+
+interface Orientation {
+  isHorizontal: boolean;
+  calcOuterSize(element: Element): number;
+  calcScrollSize(element: Element): number;
+  getViewportSize(): number;
+  getScrollPosition(element: Element): number;
+  setScrollPosition(element: Element, position: number): void;
+  getDocumentScrollPosition(): number;
+  scrollDocumentTo(position: number): void;
+  getElementDistanceToStartOfDocument(element: Element): number;
+  getElementDistanceToEndOfViewport(element: Element): number;
+  hasOverflowScroll(element: Element): boolean;
+  findScrollContainer(element: Element): Element;
+  getDistanceToStartOfScrollContent(element: Element, container: Element): number;
+  prepareBufferElement(buffer: Element): void;
+  setBufferSize(buffer: Element, size: number): void;
+}
+
+/**
+* Measures and scrolls along the Y axis, the default for virtual-repeat.
+*/
+export class VerticalOrientation {
+  isHorizontal = false;
+
+  constructor(domHelper: DomHelper) {
+    this.domHelper = domHelper;
+  }
+
+  calcOuterSize(element: Element): number {
+    return calcOuterHeight(element);
+  }
+
+  calcScrollSize(element: Element): number {
+    let height;
+    height = element.getBoundingClientRect().height;
+    height -= getStyleValue(element, 'borderTopWidth');
+    height -= getStyleValue(element, 'borderBottomWidth');
+    return height;
+  }
+
+  getViewportSize(): number {
+    return document.documentElement.clientHeight;
+  }
+
+  getScrollPosition(element: Element): number {
+    return element.scrollTop;
+  }
+
+  setScrollPosition(element: Element, position: number): void {
+    element.scrollTop = position;
+  }
+
+  getDocumentScrollPosition(): number {
+    return window.pageYOffset;
+  }
+
+  scrollDocumentTo(position: number): void {
+    window.scrollTo(window.pageXOffset, position);
+  }
+
+  getElementDistanceToStartOfDocument(element: Element): number {
+    return this.domHelper.getElementDistanceToTopOfDocument(element);
+  }
+
+  getElementDistanceToEndOfViewport(element: Element): number {
+    return getElementDistanceToBottomViewPort(element);
+  }
+
+  hasOverflowScroll(element: Element): boolean {
+    return this.domHelper.hasOverflowScroll(element);
+  }
+
+  findScrollContainer(element: Element): Element {
+    return this.domHelper.findScrollContainer(element, false);
+  }
+
+  /**
+  * Gets the distance of element to the top of the scrollable content of container.
+  */
+  getDistanceToStartOfScrollContent(element: Element, container: Element): number {
+    return element.getBoundingClientRect().top - container.getBoundingClientRect().top - container.clientTop + container.scrollTop;
+  }
+
+  prepareBufferElement(buffer: Element): void {}
+
+  setBufferSize(buffer: Element, size: number): void {
+    buffer.style.height = `${size}px`;
+  }
+}
+
+/**
+* Measures and scrolls along the X axis, used with virtual-repeat-orientation="horizontal".
+* The top and bottom buffers of the repeater become its left and right buffers.
+*/
+export class HorizontalOrientation {
+  isHorizontal = true;
+
+  constructor(domHelper: DomHelper) {
+    this.domHelper = domHelper;
+  }
+
+  calcOuterSize(element: Element): number {
+    return calcOuterWidth(element);
+  }
+
+  calcScrollSize(element: Element): number {
+    let width;
+    width = element.getBoundingClientRect().width;
+    width -= getStyleValue(element, 'borderLeftWidth');
+    width -= getStyleValue(element, 'borderRightWidth');
+    return width;
+  }
+
+  getViewportSize(): number {
+    return document.documentElement.clientWidth;
+  }
+
+  getScrollPosition(element: Element): number {
+    return element.scrollLeft;
+  }
+
+  setScrollPosition(element: Element, position: number): void {
+    element.scrollLeft = position;
+  }
+
+  getDocumentScrollPosition(): number {
+    return window.pageXOffset;
+  }
+
+  scrollDocumentTo(position: number): void {
+    window.scrollTo(position, window.pageYOffset);
+  }
+
+  getElementDistanceToStartOfDocument(element: Element): number {
+    return this.domHelper.getElementDistanceToLeftOfDocument(element);
+  }
+
+  getElementDistanceToEndOfViewport(element: Element): number {
+    return getElementDistanceToRightViewPort(element);
+  }
+
+  hasOverflowScroll(element: Element): boolean {
+    return this.domHelper.hasHorizontalOverflowScroll(element);
+  }
+
+  findScrollContainer(element: Element): Element {
+    return this.domHelper.findScrollContainer(element, true);
+  }
+
+  /**
+  * Gets the distance of element to the left of the scrollable content of container.
+  */
+  getDistanceToStartOfScrollContent(element: Element, container: Element): number {
+    return element.getBoundingClientRect().left - container.getBoundingClientRect().left - container.clientLeft + container.scrollLeft;
+  }
+
+  prepareBufferElement(buffer: Element): void {
+    // the cells of a table row are laid out by the row already
+    if (buffer.localName === 'td' || buffer.localName === 'th') {
+      return;
+    }
+    // buffers have to sit next to the items, whether they are laid out inline or with flexbox
+    buffer.style.display = 'inline-block';
+    buffer.style.flexShrink = '0';
+  }
+
+  setBufferSize(buffer: Element, size: number): void {
+    buffer.style.width = `${size}px`;
+  }
+}
@@ -0,0 +1,52 @@
+import {ObserverLocator, mergeSplice} from 'aurelia-binding';
+import {CollectionVirtualRepeatStrategy} from './collection-virtual-repeat-strategy';
+
+/**
+* A strategy for repeating a template over a Set.
+* The values are copied into an array in insertion order, which is rendered like an array
+* and kept in sync by translating the change records of the Set into splices.
+*/
+export class SetVirtualRepeatStrategy extends CollectionVirtualRepeatStrategy {
+  getCollectionObserver(observerLocator: ObserverLocator, items: Set<any>): any {
+    return observerLocator.getSetObserver(items);
+  }
+
+  indexOf(repeat: VirtualRepeat, item: any): number {
+    return this._getItems(repeat).indexOf(item);
+  }
+
+  /**
+  * Handle the repeat's collection instance mutating.
+  * @param repeat The repeat instance.
+  * @param set The modified Set.
+  * @param records The change records of the Set.
+  */
+  instanceMutated(repeat: VirtualRepeat, set: Set<any>, records: any): void {
+    let values = this._getItems(repeat).slice(0);
+    let splices = [];
+    for (let i = 0, ii = records.length; i < ii; ++i) {
+      let record = records[i];
+      let index;
+      switch (record.type) {
+      case 'add':
+        mergeSplice(splices, values.length, [], 1);
+        values.push(record.value);
+        break;
+      case 'delete':
+        index = values.indexOf(record.value);
+        if (index !== -1) {
+          mergeSplice(splices, index, values.splice(index, 1), 0);
+        }
+        break;
+      case 'clear':
+        if (values.length > 0) {
+          mergeSplice(splices, 0, values.splice(0), 0);
+        }
+        break;
+      default:
+        break;
+      }
+    }
+    this._applySplices(repeat, splices);
+  }
+}
@@ -0,0 +1,209 @@
+/**
+* Keeps track of the measured size of every item of a virtualized collection.
+* Items that have not been measured yet are assumed to have the estimated size.
+* Offsets are resolved through a binary indexed tree holding the difference between
+* the measured and the estimated size of each item, so lookups stay logarithmic.
+*/
+export class SizeCache {
+  length = 0;
+  estimatedSize = 0;
+
+  constructor(estimatedSize: number = 0) {
+    this.estimatedSize = estimatedSize;
+    this._sizes = [];
+    this._tree = null;
+    this._isDirty = false;
+    this._measuredCount = 0;
+    this._minSize = Infinity;
+  }
+
+  /**
+  * Clears all measurements and resizes the cache.
+  * @param length The number of items in the collection.
+  */
+  reset(length: number): void {
+    this.length = length;
+    this._sizes = [];
+    this._tree = null;
+    this._isDirty = false;
+    this._measuredCount = 0;
+    this._minSize = Infinity;
+  }
+
+  setEstimatedSize(size: number): void {
+    if (size === this.estimatedSize) {
+      return;
+    }
+    this.estimatedSize = size;
+    this._isDirty = true;
+  }
+
+  setLength(length: number): void {
+    if (length < this._sizes.length) {
+      this._sizes.length = length;
+      this._countMeasured();
+    }
+    this.length = length;
+    this._isDirty = true;
+  }
+
+  /**
+  * Keeps the measurements aligned with a mutation of the collection.
+  * @param index The index where the mutation happened.
+  * @param removedCount The number of items removed at index.
+  * @param addedCount The number of items inserted at index.
+  */
+  splice(index: number, removedCount: number, addedCount: number): void {
+    let sizes = this._sizes;
+    if (this._measuredCount > 0 && index < sizes.length) {
+      this._sizes = sizes.slice(0, index).concat(new Array(addedCount), sizes.slice(index + removedCount));
+      this._countMeasured();
+    }
+    this.length = this.length - removedCount + addedCount;
+    this._isDirty = true;
+  }
+
+  /**
+  * Applies the splice records of an observed array mutation.
+  */
+  applySplices(splices: any): void {
+    for (let i = 0, ii = splices.length; i < ii; ++i) {
+      let splice = splices[i];
+      this.splice(splice.index, splice.removed.length, splice.addedCount);
+    }
+  }
+
+  isMeasured(index: number): boolean {
+    return this._sizes[index] !== undefined;
+  }
+
+  get(index: number): number {
+    let size = this._sizes[index];
+    return size === undefined ? this.estimatedSize : size;
+  }
+
+  /**
+  * Stores the measured size of an item.
+  * @returns true when the stored size changed.
+  */
+  set(index: number, size: number): boolean {
+    if (index < 0 || index >= this.length) {
+      return false;
+    }
+    let previous = this._sizes[index];
+    if (previous === size) {
+      return false;
+    }
+    if (previous === undefined) {
+      this._measuredCount++;
+    }
+    this._sizes[index] = size;
+    if (size < this._minSize) {
+      this._minSize = size;
+    }
+    if (this._tree !== null && !this._isDirty) {
+      this._add(index, size - (previous === undefined ? this.estimatedSize : previous));
+    } else {
+      this._isDirty = true;
+    }
+    return true;
+  }
+
+  /**
+  * The smallest size known, used to figure out how many items can fit into a viewport.
+  */
+  getMinSize(): number {
+    return Math.min(this.estimatedSize, this._minSize);
+  }
+
+  /**
+  * Gets the sum of the sizes of all items before index.
+  */
+  getOffset(index: number): number {
+    if (index <= 0) {
+      return 0;
+    }
+    if (index > this.length) {
+      index = this.length;
+    }
+    let offset = index * this.estimatedSize;
+    if (this._measuredCount === 0) {
+      return offset;
+    }
+    this._ensureTree();
+    let tree = this._tree;
+    for (let i = index; i > 0; i -= i & -i) {
+      offset += tree[i];
+    }
+    return offset;
+  }
+
+  getTotalSize(): number {
+    return this.getOffset(this.length);
+  }
+
+  /**
+  * Gets the index of the item that contains the given offset.
+  */
+  getIndexAt(offset: number): number {
+    if (this.length === 0 || offset <= 0) {
+      return 0;
+    }
+    if (this._measuredCount === 0) {
+      let index = this.estimatedSize > 0 ? Math.floor(offset / this.estimatedSize) : 0;
+      return Math.min(index, this.length - 1);
+    }
+    let low = 0;
+    let high = this.length - 1;
+    while (low < high) {
+      let middle = (low + high + 1) >> 1;
+      if (this.getOffset(middle) <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return low;
+  }
+
+  _countMeasured(): void {
+    let count = 0;
+    let sizes = this._sizes;
+    for (let i = 0, ii = sizes.length; i < ii; ++i) {
+      if (sizes[i] !== undefined) {
+        count++;
+      }
+    }
+    this._measuredCount = count;
+  }
+
+  _ensureTree(): void {
+    if (this._tree !== null && !this._isDirty) {
+      return;
+    }
+    let length = this.length;
+    let sizes = this._sizes;
+    let estimatedSize = this.estimatedSize;
+    let tree = new Float64Array(length + 1);
+    for (let i = 0, ii = Math.min(sizes.length, length); i < ii; ++i) {
+      if (sizes[i] !== undefined) {
+        tree[i + 1] = sizes[i] - estimatedSize;
+      }
+    }
+    for (let i = 1; i <= length; ++i) {
+      let parent = i + (i & -i);
+      if (parent <= length) {
+        tree[parent] += tree[i];
+      }
+    }
+    this._tree = tree;
+    this._isDirty = false;
+  }
+
+  _add(index: number, delta: number): void {
+    let tree = this._tree;
+    for (let i = index + 1, ii = tree.length; i < ii; i += i & -i) {
+      tree[i] += delta;
+    }
+  }
+}
@@ -0,0 +1,121 @@
+import {SizeCache} from './size-cache';
+import {LayoutObserver} from './layout-observer';
+
+const tableColumns = new WeakMap();
+
+/**
+* The columns of a table whose rows virtualize their cells. The repeaters of the rows have to render
+* the same columns, so that the cells stay aligned, which they compute from the horizontal scroll position
+* and from the sizes of the columns. They share the sizes, measured by any of them, and render their
+* columns again when another one measured new sizes. They also share one observer of the layout, the
+* columns of the first row stand for the columns of all rows.
+*/
+export class TableColumns {
+  /**
+  * Gets the columns of a table, created for the first repeater of its rows.
+  */
+  static get(table: Element): TableColumns {
+    let columns = tableColumns.get(table);
+    if (!columns) {
+      columns = new TableColumns();
+      tableColumns.set(table, columns);
+    }
+    return columns;
+  }
+
+  /**
+  * Whether rows of a table virtualize their cells.
+  */
+  static has(table: Element): boolean {
+    let columns = table === null ? undefined : tableColumns.get(table);
+    return columns !== undefined && columns.repeats.length > 0;
+  }
+
+  constructor() {
+    this.sizeCache = new SizeCache();
+    this.repeats = [];
+    this.layoutObserver = new LayoutObserver({
+      onContainerResize: () => this._forEach(repeat => repeat._handleContainerResize()),
+      onViewResize: () => this._handleColumnResize(),
+      onLayoutShift: () => this._handleLayoutShift(),
+      isOwnNode: node => this.repeats.some(repeat => repeat._isOwnNode(node))
+    });
+    this._isObserving = false;
+  }
+
+  add(repeat: VirtualRepeat): void {
+    this.repeats.push(repeat);
+  }
+
+  remove(repeat: VirtualRepeat): void {
+    let index = this.repeats.indexOf(repeat);
+    if (index !== -1) {
+      this.repeats.splice(index, 1);
+    }
+    if (this.repeats.length === 0) {
+      // the next rows may render other columns
+      this.sizeCache.reset(0);
+      this.layoutObserver.disconnect();
+      this._isObserving = false;
+    }
+  }
+
+  /**
+  * Starts watching the layout for the first repeater, see LayoutObserver.observe.
+  */
+  observe(containers: Array<Element>, shiftStart: Element, shiftRoot: Element, observeViewport: boolean): void {
+    if (this._isObserving) {
+      return;
+    }
+    this._isObserving = true;
+    this.layoutObserver.observe(containers, shiftStart, shiftRoot, observeViewport);
+  }
+
+  /**
+  * Watches the size of the columns rendered by the first row.
+  */
+  observeViews(repeat: VirtualRepeat, elements: Array<Element>): void {
+    if (repeat === this.repeats[0]) {
+      this.layoutObserver.observeViews(elements);
+    }
+  }
+
+  /**
+  * Lets the other repeaters render their columns with the sizes measured by one of them.
+  */
+  sizesChanged(repeat: VirtualRepeat): void {
+    this._forEach(other => {
+      if (other !== repeat) {
+        other._handleColumnSizesChanged();
+      }
+    });
+  }
+
+  _forEach(callback: (repeat: VirtualRepeat) => void): void {
+    let repeats = this.repeats.slice(0);
+    for (let i = 0, ii = repeats.length; i < ii; ++i) {
+      callback(repeats[i]);
+    }
+  }
+
+  // the first row measures the columns and lets the others know, see sizesChanged
+  _handleColumnResize(): void {
+    if (this.repeats.length > 0) {
+      this.repeats[0]._queueMeasureViews();
+    }
+  }
+
+  // the columns of all rows start where the columns of the first row start, measure them once
+  _handleLayoutShift(): void {
+    let first = this.repeats[0];
+    if (!first) {
+      return;
+    }
+    first._checkDistanceToTop();
+    this._forEach(repeat => {
+      if (repeat !== first) {
+        repeat._setDistanceToTop(first.distanceToTop, first._scrollOffset);
+      }
+    });
+  }
+}
@@ -2,7 +2,8 @@ import {inject, Container} from 'aurelia-dependency-injection';
 import {DOM} from 'aurelia-pal';
 import {View} from 'aurelia-templating';
 import {insertBeforeNode} from './utilities';
-import {DomHelper} from './dom-helper';
+import {VirtualizationConfiguration} from './virtualization-configuration';
+import {TableColumns} from './table-columns';
 
 interface TemplateStrategy {
   getScrollContainer(element: Element): Element;
@@ -14,154 +15,213 @@ interface TemplateStrategy {
   getFirstElement(topBuffer: Element): Element;
   getLastView(bottomBuffer: Element): Element;
   getTopBufferDistance(topBuffer: Element): number;
+  // optional, called whenever the buffers are resized
+  updateBufferElements?: (topBuffer: Element, bottomBuffer: Element, firstIndex: number) => void;
+  // optional, called when the rendered views are measured, after they are rebound or resized
+  measureBufferElements?: (topBuffer: Element, bottomBuffer: Element) => void;
+  // optional, called when the items are replaced, undoes what measureBufferElements kept from the previous items
+  resetBufferElements?: (topBuffer: Element, bottomBuffer: Element) => void;
+  // optional, for strategies of cells: the element of the columns the repeaters of its rows render together
+  getColumnsElement?: (element: Element) => Element;
 }
 
-@inject(Container)
+@inject(Container, VirtualizationConfiguration)
 export class TemplateStrategyLocator {
 
-  constructor(container: Container) {
+  constructor(container: Container, configuration: VirtualizationConfiguration) {
     this.container = container;
-  }
-
+    this.configuration = configuration;
+    this.strategies = [
+      { name: 'table', matcher: element => isChildOf(element, 'tbody'), strategy: TableStrategy },
+      { name: 'table-row', matcher: element => isChildOf(element, 'tr'), strategy: TableRowStrategy },
+      { name: 'list', matcher: element => isChildOf(element, 'ul') || isChildOf(element, 'ol'), strategy: ListStrategy },
+      { name: 'description-list', matcher: element => isChildOf(element, 'dl'), strategy: DescriptionListStrategy },
+      { name: 'default', matcher: element => true, strategy: DefaultTemplateStrategy }
+    ];
+  }
+
+  /**
+  * Gets the strategy of the first matcher returning true for the anchor of the repeater,
+  * trying the strategies added to the plugin configuration before the built-in ones.
+  */
   getStrategy(element: Element): TemplateStrategy {
-    if (element.parentNode && element.parentNode.localName === 'tbody') {
-      return this.container.get(TableStrategy);
+    let registration = this._getRegistrations().find(({ matcher }) => matcher && matcher(element));
+    let strategy = this._resolve(registration.strategy);
+    this.configuration.log('virtual-repeat renders with', strategy.constructor.name, 'in', element.parentNode);
+    return strategy;
+  }
+
+  /**
+  * Gets a strategy by the name it is registered with, as set with virtual-repeat-template-strategy.
+  */
+  getStrategyByName(name: string): TemplateStrategy {
+    let registration = this._getRegistrations().find(entry => entry.name === name);
+    if (!registration) {
+      throw new Error(`virtual-repeat-template-strategy: no template strategy is named '${name}'`);
     }
-    return this.container.get(DefaultTemplateStrategy);
+    return this._resolve(registration.strategy);
+  }
+
+  _getRegistrations(): Array<any> {
+    return this.configuration.templateStrategies.concat(this.strategies);
   }
-}
 
-@inject(DomHelper)
-export class TableStrategy {
-  tableCssReset = '\
-    display: block;\
-    width: auto;\
-    height: auto;\
-    margin: 0;\
-    padding: 0;\
-    border: none;\
-    border-collapse: inherit;\
-    border-spacing: 0;\
-    background-color: transparent;\
-    -webkit-border-horizontal-spacing: 0;\
-    -webkit-border-vertical-spacing: 0;';
-
-  constructor(domHelper) {
-    this.domHelper = domHelper;
+  // classes are created by the container, so that they can have dependencies
+  _resolve(strategy: any): TemplateStrategy {
+    return typeof strategy === 'function' ? this.container.get(strategy) : strategy;
   }
+}
+
+function isChildOf(element: Element, localName: string): boolean {
+  return !!element.parentNode && element.parentNode.localName === localName;
+}
 
+export class DefaultTemplateStrategy {
   getScrollContainer(element: Element): Element {
     return element.parentNode;
   }
 
   moveViewFirst(view: View, topBuffer: Element): void {
-    const tbody = this._getTbodyElement(topBuffer.nextSibling);
-    const tr = tbody.firstChild;
-    const firstElement = DOM.nextElementSibling(tr);
-    insertBeforeNode(view, firstElement);
+    insertBeforeNode(view, DOM.nextElementSibling(topBuffer));
   }
 
   moveViewLast(view: View, bottomBuffer: Element): void {
-    const lastElement = this.getLastElement(bottomBuffer).nextSibling;
-    const referenceNode = lastElement.nodeType === 8 && lastElement.data === 'anchor' ? lastElement : lastElement;
+    const previousSibling = bottomBuffer.previousSibling;
+    const referenceNode = previousSibling.nodeType === 8 && previousSibling.data === 'anchor' ? previousSibling : bottomBuffer;
     insertBeforeNode(view, referenceNode);
   }
 
   createTopBufferElement(element: Element): Element {
-    const elementName = element.parentNode.localName === 'ul' ? 'li' : 'div';
-    const buffer = DOM.createElement(elementName);
-    const tableElement = element.parentNode.parentNode;
-    tableElement.parentNode.insertBefore(buffer, tableElement);
-    buffer.innerHTML = '&nbsp;';
+    const buffer = this.createBufferElement(element);
+    element.parentNode.insertBefore(buffer, element);
     return buffer;
   }
 
   createBottomBufferElement(element: Element): Element {
-    const elementName = element.parentNode.localName === 'ul' ? 'li' : 'div';
-    const buffer = DOM.createElement(elementName);
-    const tableElement = element.parentNode.parentNode;
-    tableElement.parentNode.insertBefore(buffer, tableElement.nextSibling);
+    const buffer = this.createBufferElement(element);
+    element.parentNode.insertBefore(buffer, element.nextSibling);
     return buffer;
   }
 
   removeBufferElements(element: Element, topBuffer: Element, bottomBuffer: Element): void {
-    topBuffer.parentNode.removeChild(topBuffer);
-    bottomBuffer.parentNode.removeChild(bottomBuffer);
+    element.parentNode.removeChild(topBuffer);
+    element.parentNode.removeChild(bottomBuffer);
   }
 
   getFirstElement(topBuffer: Element): Element {
-    const tbody = this._getTbodyElement(DOM.nextElementSibling(topBuffer));
-    const tr = tbody.firstChild;
-    return tr; //since the buffer is outside table, first element _is_ first element.
+    return DOM.nextElementSibling(topBuffer);
   }
 
   getLastElement(bottomBuffer: Element): Element {
-    const tbody = this._getTbodyElement(bottomBuffer.previousSibling);
-    const trs = tbody.children;
-    return trs[trs.length - 1];
+    return bottomBuffer.previousElementSibling;
   }
 
   getTopBufferDistance(topBuffer: Element): number {
-    const tbody = this._getTbodyElement(topBuffer.nextSibling);
-    return this.domHelper.getElementDistanceToTopOfDocument(tbody) - this.domHelper.getElementDistanceToTopOfDocument(topBuffer);
+    return 0;
   }
 
-  _getTbodyElement(tableElement: Element): Element {
-    let tbodyElement;
-    const children = tableElement.children;
-    for (let i = 0, ii = children.length; i < ii; ++i) {
-      if (children[i].localName === 'tbody') {
-        tbodyElement = children[i];
-        break;
-      }
-    }
-    return tbodyElement;
+  createBufferElement(element: Element): Element {
+    return DOM.createElement(element.parentNode.localName === 'ul' ? 'li' : 'div');
   }
 }
 
-export class DefaultTemplateStrategy {
-  getScrollContainer(element: Element): Element {
-    return element.parentNode;
-  }
-
-  moveViewFirst(view: View, topBuffer: Element): void {
-    insertBeforeNode(view, DOM.nextElementSibling(topBuffer));
+/**
+* A strategy for the rows of a tbody. The buffers are spacer rows within the tbody, so that a thead
+* and a tfoot stay in place, e.g. to make them sticky, and the rows share the columns of the header.
+* The top spacer row holds a cell for each cell of the first rendered row, as wide as the widest cell
+* rendered in its column so far, so that the columns keep their widths as the rows are recycled.
+*/
+export class TableStrategy extends DefaultTemplateStrategy {
+  measureBufferElements(topBuffer: Element, bottomBuffer: Element): void {
+    let row = DOM.nextElementSibling(topBuffer);
+    // the cells of virtualized columns aren't the same columns from one scroll position to the next
+    if (row === null || row === bottomBuffer || TableColumns.has(topBuffer.closest('table'))) {
+      return;
+    }
+    let cells = row.cells;
+    let spacerCells = topBuffer.cells;
+    // reads every width before writing any, so the layout is computed once
+    let widths = Array.prototype.map.call(cells, cell => cell.getBoundingClientRect().width);
+    for (let i = 0, ii = cells.length; i < ii; ++i) {
+      let spacerCell = spacerCells[i] || topBuffer.appendChild(createSpacerCell());
+      spacerCell.colSpan = cells[i].colSpan;
+      if (widths[i] > (parseFloat(spacerCell.style.width) || 0)) {
+        spacerCell.style.width = `${widths[i]}px`;
+      }
+    }
   }
 
-  moveViewLast(view: View, bottomBuffer: Element): void {
-    const previousSibling = bottomBuffer.previousSibling;
-    const referenceNode = previousSibling.nodeType === 8 && previousSibling.data === 'anchor' ? previousSibling : bottomBuffer;
-    insertBeforeNode(view, referenceNode);
+  resetBufferElements(topBuffer: Element, bottomBuffer: Element): void {
+    for (let spacerCell of Array.from(topBuffer.cells)) {
+      spacerCell.style.width = '';
+    }
   }
 
-  createTopBufferElement(element: Element): Element {
-    const elementName = element.parentNode.localName === 'ul' ? 'li' : 'div';
-    const buffer = DOM.createElement(elementName);
-    element.parentNode.insertBefore(buffer, element);
+  createBufferElement(element: Element): Element {
+    const buffer = DOM.createElement('tr');
+    buffer.setAttribute('aria-hidden', 'true');
+    buffer.appendChild(createSpacerCell());
     return buffer;
   }
+}
 
-  createBottomBufferElement(element: Element): Element {
-    const elementName = element.parentNode.localName === 'ul' ? 'li' : 'div';
-    const buffer = DOM.createElement(elementName);
-    element.parentNode.insertBefore(buffer, element.nextSibling);
-    return buffer;
-  }
+function createSpacerCell(): Element {
+  const cell = DOM.createElement('td');
+  cell.style.padding = '0';
+  cell.style.border = 'none';
+  return cell;
+}
 
-  removeBufferElements(element: Element, topBuffer: Element, bottomBuffer: Element): void {
-    element.parentNode.removeChild(topBuffer);
-    element.parentNode.removeChild(bottomBuffer);
+/**
+* A strategy for the items of ul and ol elements. The buffers are li elements without a marker,
+* and in an ol the top buffer carries the number of the items above the rendered ones,
+* so that the rendered items are numbered by their index.
+*/
+export class ListStrategy extends DefaultTemplateStrategy {
+  updateBufferElements(topBuffer: Element, bottomBuffer: Element, firstIndex: number): void {
+    let list = topBuffer.parentNode;
+    if (list.localName === 'ol' && !list.reversed) {
+      // the top buffer is counted as an item, so it takes the number before the first rendered item
+      topBuffer.value = list.start - 1 + firstIndex;
+    }
   }
 
-  getFirstElement(topBuffer: Element): Element {
-    return DOM.nextElementSibling(topBuffer);
+  createBufferElement(element: Element): Element {
+    const buffer = DOM.createElement('li');
+    buffer.style.listStyleType = 'none';
+    buffer.setAttribute('aria-hidden', 'true');
+    return buffer;
   }
+}
 
-  getLastElement(bottomBuffer: Element): Element {
-    return bottomBuffer.previousElementSibling;
+/**
+* A strategy for the groups of dt and dd elements of a dl, each one wrapped by a div.
+* The buffers are divs as well, the only other element a dl may hold.
+*/
+export class DescriptionListStrategy extends DefaultTemplateStrategy {
+  createBufferElement(element: Element): Element {
+    const buffer = DOM.createElement('div');
+    buffer.setAttribute('aria-hidden', 'true');
+    return buffer;
   }
+}
 
-  getTopBufferDistance(topBuffer: Element): number {
-    return 0;
+/**
+* A strategy for the cells of a table row, virtualized along the X axis. The repeaters of all rows of
+* the table, header rows included, render the same columns from the horizontal scroll position.
+* The buffers are cells without padding or border, th elements in a thead and td elements elsewhere.
+*/
+export class TableRowStrategy extends DefaultTemplateStrategy {
+  getColumnsElement(element: Element): Element {
+    return element.parentNode.closest('table');
+  }
+
+  createBufferElement(element: Element): Element {
+    const section = element.parentNode.parentNode;
+    const buffer = DOM.createElement(section && section.localName === 'thead' ? 'th' : 'td');
+    buffer.style.padding = '0';
+    buffer.style.border = 'none';
+    buffer.setAttribute('aria-hidden', 'true');
+    return buffer;
   }
 }
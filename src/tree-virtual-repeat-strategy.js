@@ -0,0 +1,141 @@
+import {ObserverLocator} from 'aurelia-binding';
+import {VirtualRepeatStrategy} from './virtual-repeat-strategy';
+import {TreeEntry} from './utilities';
+
+/**
+* Renders the items of another strategy as the roots of a tree, each node followed by the nodes of its
+* children when it is expanded. The expanded state is a property of the nodes, so it survives the stream
+* being computed again when the roots change. Expanding or collapsing a node splices the entries of its
+* descendants into or out of the stream, the views of the other nodes stay where they are.
+*/
+export class TreeVirtualRepeatStrategy extends VirtualRepeatStrategy {
+  /**
+  * @param strategy The strategy of the roots.
+  * @param children The name of the property of a node holding its children, or a function returning them.
+  * @param expanded The name of the property of a node telling whether it is expanded.
+  */
+  constructor(strategy: any, children: any, expanded: string) {
+    super();
+    this.strategy = strategy;
+    this.children = children;
+    this.expanded = expanded;
+    this.entries = [];
+  }
+
+  /**
+  * Computes the entries of the stream from the roots, the items of the repeater.
+  */
+  update(repeat: VirtualRepeat): void {
+    let strategy = this.strategy;
+    let roots = [];
+    for (let i = 0, ii = strategy.count(repeat); i < ii; ++i) {
+      roots.push(strategy.getItem(repeat, i));
+    }
+    this.entries = this._flatten(roots, 0);
+  }
+
+  /**
+  * Observes the roots, a mutation computes the stream again.
+  */
+  getCollectionObserver(observerLocator: ObserverLocator, items: any): any {
+    return this.strategy.getCollectionObserver(observerLocator, items);
+  }
+
+  count(repeat: VirtualRepeat): number {
+    return this.entries.length;
+  }
+
+  getItem(repeat: VirtualRepeat, index: number): TreeEntry {
+    return this.entries[index];
+  }
+
+  /**
+  * Gets the index of a node in the stream, or -1 when it is not rendered because an ancestor is collapsed.
+  */
+  indexOf(repeat: VirtualRepeat, item: any): number {
+    let node = item instanceof TreeEntry ? item.item : item;
+    let entries = this.entries;
+    for (let i = 0, ii = entries.length; i < ii; ++i) {
+      if (entries[i].item === node) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+  * Renders the splices of expand and collapse, which mutate the stream itself,
+  * or else computes the stream again for a mutation of the roots.
+  */
+  instanceMutated(repeat: VirtualRepeat, items: any, changes: any): void {
+    if (items === this.entries) {
+      this.applySplices(repeat, changes);
+    } else {
+      this.refresh(repeat);
+    }
+  }
+
+  /**
+  * Expands or collapses a node, splicing the entries of its descendants into or out of the stream.
+  * A node that is not rendered only gets the new state, which applies once its ancestors are expanded.
+  */
+  setExpanded(repeat: VirtualRepeat, node: any, expanded: boolean): void {
+    node[this.expanded] = expanded;
+    let index = this.indexOf(repeat, node);
+    let entries = this.entries;
+    let entry = entries[index];
+    if (index === -1 || entry.expanded === expanded) {
+      return;
+    }
+    entry = new TreeEntry(node, entry.depth, entry.hasChildren, expanded);
+    let splice;
+    if (expanded) {
+      let added = this._flatten(this._getChildren(node), entry.depth + 1);
+      this.entries = entries.slice(0, index).concat(entry, added, entries.slice(index + 1));
+      splice = { index: index + 1, removed: [], addedCount: added.length };
+    } else {
+      let end = index + 1;
+      while (end < entries.length && entries[end].depth > entry.depth) {
+        ++end;
+      }
+      this.entries = entries.slice(0, index).concat(entry, entries.slice(end));
+      splice = { index: index + 1, removed: entries.slice(index + 1, end), addedCount: 0 };
+    }
+    if (splice.addedCount > 0 || splice.removed.length > 0) {
+      repeat.handleCollectionMutated(this.entries, [splice]);
+    }
+    repeat._updateEntryView(index);
+  }
+
+  _getChildren(node: any): Array<any> {
+    let children = typeof this.children === 'function' ? this.children(node) : node[this.children];
+    if (!children) {
+      return [];
+    }
+    return Array.isArray(children) ? children : Array.from(children);
+  }
+
+  /**
+  * Gets the entries of nodes and of the descendants of the expanded ones, in the order they are rendered.
+  */
+  _flatten(nodes: Array<any>, depth: number): Array<TreeEntry> {
+    let entries = [];
+    // iterates instead of recursing, hierarchies may be deep
+    let stack = [{ nodes, depth, index: 0 }];
+    while (stack.length > 0) {
+      let level = stack[stack.length - 1];
+      if (level.index === level.nodes.length) {
+        stack.pop();
+        continue;
+      }
+      let node = level.nodes[level.index++];
+      let children = this._getChildren(node);
+      let expanded = !!node[this.expanded];
+      entries.push(new TreeEntry(node, level.depth, children.length > 0, expanded));
+      if (expanded && children.length > 0) {
+        stack.push({ nodes: children, depth: level.depth + 1, index: 0 });
+      }
+    }
+    return entries;
+  }
+}
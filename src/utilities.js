@@ -1,5 +1,6 @@
-import {updateOverrideContext} from 'aurelia-templating-resources';
-import {View} from 'aurelia-templating';
+import {createFullOverrideContext, updateOverrideContext} from 'aurelia-templating-resources';
+import {View, BoundViewFactory} from 'aurelia-templating';
+import {camelCase} from 'aurelia-binding';
 
 export function calcOuterHeight(element: Element): number {
   let height;
@@ -9,6 +10,14 @@ export function calcOuterHeight(element: Element): number {
   return height;
 }
 
+export function calcOuterWidth(element: Element): number {
+  let width;
+  width = element.getBoundingClientRect().width;
+  width += getStyleValue(element, 'marginLeft');
+  width += getStyleValue(element, 'marginRight');
+  return width;
+}
+
 export function insertBeforeNode(view: View, bottomBuffer: number): void {
   let parentElement = bottomBuffer.parentElement || bottomBuffer.parentNode;
   parentElement.insertBefore(view.lastChild, bottomBuffer);
@@ -21,24 +30,145 @@ export function insertBeforeNode(view: View, bottomBuffer: number): void {
 export function updateVirtualOverrideContexts(repeat: VirtualRepeat, startIndex: number): void {
   let views = repeat.viewSlot.children;
   let viewLength = views.length;
-  let collectionLength = repeat.items.length;
+  let collectionLength = repeat.strategy.count(repeat);
 
   if (startIndex > 0) {
     startIndex = startIndex - 1;
   }
 
-  let delta = repeat._topBufferHeight / repeat.itemHeight;
+  let delta = repeat._topBufferCount;
 
   for (; startIndex < viewLength; ++startIndex) {
     updateOverrideContext(views[startIndex].overrideContext, startIndex + delta, collectionLength);
   }
 }
 
+/**
+* An entry of the stream rendered by a strategy wrapping the items, e.g. to group them: the item of the view
+* and the properties the entry adds to the override context of the view.
+*/
+export class StreamEntry {
+  constructor(item: any) {
+    this.item = item;
+  }
+
+  /**
+  * Assigns the properties of the entry to the override context of its view.
+  * @returns true when they changed.
+  */
+  assign(repeat: VirtualRepeat, overrideContext: any): boolean {
+    return false;
+  }
+}
+
+/**
+* An entry of the stream rendered by a grouped repeater: the header of a group, or one of its items.
+*/
+export class GroupEntry extends StreamEntry {
+  constructor(group: any, isHeader: boolean, item: any, headerIndex: number, nextHeaderIndex: number) {
+    super(item);
+    this.group = group;
+    this.isHeader = isHeader;
+    // the indexes of the header of the group and of the one of the next group in the stream
+    this.headerIndex = headerIndex;
+    this.nextHeaderIndex = nextHeaderIndex;
+  }
+
+  assign(repeat: VirtualRepeat, overrideContext: any): boolean {
+    let changed = overrideContext.$group !== this.group || overrideContext.$isGroupHeader !== this.isHeader;
+    overrideContext.$group = this.group;
+    overrideContext.$isGroupHeader = this.isHeader;
+    return changed;
+  }
+}
+
+/**
+* An entry of the stream rendered by a tree: a node, with its depth and whether it is expanded.
+*/
+export class TreeEntry extends StreamEntry {
+  constructor(node: any, depth: number, hasChildren: boolean, expanded: boolean) {
+    super(node);
+    this.depth = depth;
+    this.hasChildren = hasChildren;
+    this.expanded = expanded;
+  }
+
+  assign(repeat: VirtualRepeat, overrideContext: any): boolean {
+    let changed = overrideContext.$depth !== this.depth || overrideContext.$hasChildren !== this.hasChildren
+      || overrideContext.$expanded !== this.expanded;
+    overrideContext.$depth = this.depth;
+    overrideContext.$hasChildren = this.hasChildren;
+    overrideContext.$expanded = this.expanded;
+    if (overrideContext.$toggle === undefined) {
+      // views are reused for other nodes, toggle the one rendered when called
+      overrideContext.$toggle = () => repeat.toggle(overrideContext.bindingContext[repeat.local]);
+    }
+    return changed;
+  }
+}
+
+/**
+* Creates the override context of a view rendering an item. Items are destructured into
+* the key and value of the repeater when it is used as virtual-repeat.for="[key, value] of map".
+*/
+export function createItemOverrideContext(repeat: VirtualRepeat, item: any, index: number, length: number): any {
+  if (item instanceof StreamEntry) {
+    let overrideContext = createItemOverrideContext(repeat, item.item, index, length);
+    item.assign(repeat, overrideContext);
+    return overrideContext;
+  }
+  if (repeat.key !== undefined && repeat.value !== undefined) {
+    return createFullOverrideContext(repeat, item ? item[1] : undefined, index, length, item ? item[0] : undefined);
+  }
+  return createFullOverrideContext(repeat, item, index, length);
+}
+
+/**
+* Assigns an item to an existing view, see createItemOverrideContext.
+* @returns true when the view rendered another item before.
+*/
+export function setViewItem(repeat: VirtualRepeat, view: View, item: any): boolean {
+  if (item instanceof StreamEntry) {
+    let changed = item.assign(repeat, view.overrideContext);
+    return setViewItem(repeat, view, item.item) || changed;
+  }
+  let bindingContext = view.bindingContext;
+  if (repeat.key !== undefined && repeat.value !== undefined) {
+    let key = item ? item[0] : undefined;
+    let value = item ? item[1] : undefined;
+    if (bindingContext[repeat.key] === key && bindingContext[repeat.value] === value) {
+      return false;
+    }
+    bindingContext[repeat.key] = key;
+    bindingContext[repeat.value] = value;
+    return true;
+  }
+  if (bindingContext[repeat.local] === item) {
+    return false;
+  }
+  bindingContext[repeat.local] = item;
+  return true;
+}
+
+/**
+* Gets the item a view renders, the counterpart of setViewItem.
+*/
+export function getViewItem(repeat: VirtualRepeat, view: View): any {
+  let bindingContext = view.bindingContext;
+  let item = repeat.key !== undefined && repeat.value !== undefined
+    ? [bindingContext[repeat.key], bindingContext[repeat.value]]
+    : bindingContext[repeat.local];
+  let overrideContext = view.overrideContext;
+  if (overrideContext.$isGroupHeader !== undefined) {
+    return new GroupEntry(overrideContext.$group, overrideContext.$isGroupHeader, overrideContext.$isGroupHeader ? undefined : item);
+  }
+  return item;
+}
+
 export function rebindAndMoveView(repeat: VirtualRepeat, view: View, index: number, moveToBottom: boolean): void {
-  let items = repeat.items;
   let viewSlot = repeat.viewSlot;
-  updateOverrideContext(view.overrideContext, index, items.length);
-  view.bindingContext[repeat.local] = items[index];
+  updateOverrideContext(view.overrideContext, index, repeat.strategy.count(repeat));
+  setViewItem(repeat, view, repeat.strategy.getItem(repeat, index));
   if (moveToBottom) {
     viewSlot.children.push(viewSlot.children.shift());
     repeat.templateStrategy.moveViewLast(view, repeat.bottomBuffer);
@@ -48,6 +178,63 @@ export function rebindAndMoveView(repeat: VirtualRepeat, view: View, index: numb
   }
 }
 
+/**
+* Gets the element the repeater is placed on from the template of its view factory.
+*/
+export function getTemplateElement(viewFactory: BoundViewFactory): Element {
+  let template = viewFactory.viewFactory && viewFactory.viewFactory.template;
+  if (!template) {
+    return null;
+  }
+  let childNodes = template.childNodes;
+  for (let i = 0, ii = childNodes.length; i < ii; ++i) {
+    if (childNodes[i].nodeType === 1) {
+      return childNodes[i];
+    }
+  }
+  return null;
+}
+
+/**
+* Gets the binding expression of an attribute on the element the repeater is placed on, e.g. the one
+* compiled from key.bind="id". Returns null when the attribute is absent or has no binding command.
+*/
+export function getTemplateElementExpression(viewFactory: BoundViewFactory, attributeName: string): any {
+  let element = getTemplateElement(viewFactory);
+  let targetId = element && element.getAttribute('au-target-id');
+  let instruction = targetId && viewFactory.viewFactory.instructions[targetId];
+  if (!instruction || !instruction.expressions) {
+    return null;
+  }
+  let property = camelCase(attributeName);
+  let expressions = instruction.expressions;
+  for (let i = 0, ii = expressions.length; i < ii; ++i) {
+    let expression = expressions[i];
+    if (expression.targetProperty === property && expression.sourceExpression) {
+      return expression;
+    }
+  }
+  return null;
+}
+
+/**
+* Gets the instruction of a custom attribute in the template of the repeater, on the repeated element
+* or on an element within it, e.g. the one compiled from infinite-scroll-next="getMore".
+* Returns null when no element of the template has the attribute.
+*/
+export function getTemplateBehaviorInstruction(viewFactory: BoundViewFactory, attributeName: string): any {
+  let instructions = viewFactory.viewFactory && viewFactory.viewFactory.instructions;
+  for (let id in instructions) {
+    let behaviorInstructions = instructions[id].behaviorInstructions || [];
+    for (let i = 0, ii = behaviorInstructions.length; i < ii; ++i) {
+      if (behaviorInstructions[i].type.attributeName === attributeName) {
+        return behaviorInstructions[i];
+      }
+    }
+  }
+  return null;
+}
+
 export function getStyleValue(element: Element, style: string): any {
   let currentStyle;
   let styleValue;
@@ -60,6 +247,43 @@ export function getElementDistanceToBottomViewPort(element: Element): number {
   return document.documentElement.clientHeight - element.getBoundingClientRect().bottom;
 }
 
+export function getElementDistanceToRightViewPort(element: Element): number {
+  return document.documentElement.clientWidth - element.getBoundingClientRect().right;
+}
+
 export function getElementDistanceToTopViewPort(element: Element): number {
   return element.getBoundingClientRect().top;
 }
+
+/**
+* Creates an AbortController, or an object working like one where the browser has none:
+* its signal tells whether abort was called and calls onabort and the abort listeners once.
+*/
+export function createAbortController(): any {
+  if (typeof AbortController === 'function') {
+    return new AbortController();
+  }
+  let listeners = [];
+  let signal = {
+    aborted: false,
+    onabort: null,
+    addEventListener: (type, listener) => type === 'abort' && listeners.push(listener),
+    removeEventListener: (type, listener) => {
+      listeners = listeners.filter(l => l !== listener);
+    }
+  };
+  return {
+    signal,
+    abort() {
+      if (signal.aborted) {
+        return;
+      }
+      signal.aborted = true;
+      let event = { type: 'abort', target: signal };
+      if (typeof signal.onabort === 'function') {
+        signal.onabort(event);
+      }
+      listeners.forEach(listener => listener(event));
+    }
+  };
+}
@@ -0,0 +1,112 @@
+import {inject} from 'aurelia-dependency-injection';
+import {createOverrideContext} from 'aurelia-binding';
+import {BoundViewFactory, ViewSlot, customAttribute, templateController} from 'aurelia-templating';
+import {DOM} from 'aurelia-pal';
+import {findVirtualRepeat} from './find-virtual-repeat';
+
+/**
+* A template placed next to the repeated element of a virtual-repeat among its siblings, e.g.
+* <template virtual-repeat-loading>Loading...</template>. The repeater decides when it is shown
+* and where: between the buffers, next to the rendered items, see VirtualRepeat._placeParts.
+*/
+export class VirtualRepeatPart {
+  kind = null;
+
+  constructor(element: Element, viewFactory: BoundViewFactory, viewSlot: ViewSlot) {
+    this.element = element;
+    this.viewFactory = viewFactory;
+    this.viewSlot = viewSlot;
+    this.view = null;
+    this.repeat = null;
+    this.bindingContext = null;
+    this.overrideContext = null;
+  }
+
+  bind(bindingContext, overrideContext): void {
+    this.bindingContext = bindingContext;
+    this.overrideContext = overrideContext;
+    this.repeat = this.element.parentNode ? findVirtualRepeat(this.element.parentNode) : null;
+    if (this.repeat === null) {
+      throw new Error(`virtual-repeat-${this.kind} must be a sibling of an element with virtual-repeat`);
+    }
+    this.repeat._registerPart(this);
+  }
+
+  unbind(): void {
+    this.hide();
+    if (this.repeat !== null) {
+      this.repeat._unregisterPart(this);
+      this.repeat = null;
+    }
+    this.bindingContext = null;
+    this.overrideContext = null;
+  }
+
+  /**
+  * Renders the template, or binds it again when it is rendered already.
+  * @param context Properties of the override context of the template, e.g. $error.
+  */
+  show(context?: Object): void {
+    let overrideContext = createOverrideContext(this.bindingContext, this.overrideContext);
+    Object.assign(overrideContext, context);
+    if (this.view === null) {
+      this.view = this.viewFactory.create();
+      this.view.bind(this.bindingContext, overrideContext);
+      this.viewSlot.add(this.view);
+    } else {
+      this.view.unbind();
+      this.view.bind(this.bindingContext, overrideContext);
+    }
+  }
+
+  /**
+  * Moves the rendered template before a node, e.g. next to the rendered items of the repeater.
+  */
+  moveBefore(node: Node): void {
+    let view = this.view;
+    if (view === null || view.lastChild.nextSibling === node) {
+      return;
+    }
+    view.removeNodes();
+    view.insertNodesBefore(node);
+  }
+
+  hide(): void {
+    if (this.view !== null) {
+      this.viewSlot.remove(this.view, true);
+      this.view.unbind();
+      this.view = null;
+    }
+  }
+}
+
+/**
+* Rendered while the promise returned by infinite-scroll-next is pending.
+*/
+@customAttribute('virtual-repeat-loading')
+@templateController
+@inject(DOM.Element, BoundViewFactory, ViewSlot)
+export class VirtualRepeatLoading extends VirtualRepeatPart {
+  kind = 'loading';
+}
+
+/**
+* Rendered while there are no items.
+*/
+@customAttribute('virtual-repeat-empty')
+@templateController
+@inject(DOM.Element, BoundViewFactory, ViewSlot)
+export class VirtualRepeatEmpty extends VirtualRepeatPart {
+  kind = 'empty';
+}
+
+/**
+* Rendered when the promise returned by infinite-scroll-next is rejected, with the reason as $error
+* and $retry() calling infinite-scroll-next again.
+*/
+@customAttribute('virtual-repeat-error')
+@templateController
+@inject(DOM.Element, BoundViewFactory, ViewSlot)
+export class VirtualRepeatError extends VirtualRepeatPart {
+  kind = 'error';
+}
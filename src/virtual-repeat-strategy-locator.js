@@ -1,12 +1,40 @@
+import {inject} from 'aurelia-dependency-injection';
 import {RepeatStrategyLocator} from 'aurelia-templating-resources';
 import {ArrayVirtualRepeatStrategy} from './array-virtual-repeat-strategy';
+import {SetVirtualRepeatStrategy} from './set-virtual-repeat-strategy';
+import {MapVirtualRepeatStrategy} from './map-virtual-repeat-strategy';
+import {NullVirtualRepeatStrategy} from './null-virtual-repeat-strategy';
+import {NumberVirtualRepeatStrategy} from './number-virtual-repeat-strategy';
+import {DataProviderVirtualRepeatStrategy} from './data-provider-virtual-repeat-strategy';
+import {VirtualizationConfiguration} from './virtualization-configuration';
 
+@inject(VirtualizationConfiguration)
 export class VirtualRepeatStrategyLocator extends RepeatStrategyLocator {
-  constructor() {
+  constructor(configuration: VirtualizationConfiguration) {
     super();
+    this.configuration = configuration;
     this.matchers = [];
     this.strategies = [];
 
+    this.addStrategy(items => items === null || items === undefined, new NullVirtualRepeatStrategy());
     this.addStrategy(items => items instanceof Array, new ArrayVirtualRepeatStrategy());
+    this.addStrategy(items => items instanceof Set, new SetVirtualRepeatStrategy());
+    this.addStrategy(items => items instanceof Map, new MapVirtualRepeatStrategy());
+    this.addStrategy(items => typeof items === 'number', new NumberVirtualRepeatStrategy());
+    this.addStrategy(items => typeof items === 'object' && typeof items.getRange === 'function', new DataProviderVirtualRepeatStrategy());
+  }
+
+  /**
+  * Gets the strategy of the items, trying the strategies added to the plugin configuration first.
+  */
+  getStrategy(items: any): any {
+    let strategy = null;
+    if (items !== null && items !== undefined) {
+      let custom = this.configuration.strategies.find(({ matcher }) => matcher(items));
+      strategy = custom ? custom.strategy : null;
+    }
+    strategy = strategy || super.getStrategy(items);
+    this.configuration.log('virtual-repeat uses', strategy && strategy.constructor.name, 'for', items);
+    return strategy;
   }
 }
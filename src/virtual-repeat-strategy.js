@@ -0,0 +1,164 @@
+import {ObserverLocator} from 'aurelia-binding';
+import {ArrayVirtualRepeatStrategy} from './array-virtual-repeat-strategy';
+
+/**
+* The methods virtual-repeat calls on the strategy rendering its items.
+*/
+interface RepeatStrategy {
+  /**
+  * Gets an observer with subscribe(context, callable) and unsubscribe(context, callable) that calls
+  * callable.call(context, changes) when the items mutate, or null when they can't mutate.
+  */
+  getCollectionObserver(observerLocator: ObserverLocator, items: any): any;
+  /**
+  * Renders the first item, which is measured to know how many views fit into the viewport.
+  */
+  createFirstItem(repeat: VirtualRepeat): void;
+  /**
+  * Renders new items, starting with the item at index first.
+  */
+  instanceChanged(repeat: VirtualRepeat, items: any, first: number): void;
+  /**
+  * Renders the changes reported by the collection observer.
+  */
+  instanceMutated(repeat: VirtualRepeat, items: any, changes: any): void;
+  count(repeat: VirtualRepeat): number;
+  getItem(repeat: VirtualRepeat, index: number): any;
+  indexOf(repeat: VirtualRepeat, item: any): number;
+}
+
+/**
+* A base class for strategies of custom collection types, registered with config.addStrategy.
+* Subclasses tell how many items there are and which item is at an index, the views and the buffers
+* are handled by the base class. When the items mutate, subclasses describe the changes with applySplices,
+* or call refresh when they can't tell what changed.
+*/
+export class VirtualRepeatStrategy {
+  getCollectionObserver(observerLocator: ObserverLocator, items: any): any {
+    return null;
+  }
+
+  createFirstItem(repeat: VirtualRepeat): void {
+    getRenderer(this).createFirstItem(repeat);
+  }
+
+  instanceChanged(repeat: VirtualRepeat, items: any, first: number): void {
+    getRenderer(this).instanceChanged(repeat, items, first);
+  }
+
+  count(repeat: VirtualRepeat): number {
+    throw new Error(`${this.constructor.name} must implement count(repeat)`);
+  }
+
+  getItem(repeat: VirtualRepeat, index: number): any {
+    throw new Error(`${this.constructor.name} must implement getItem(repeat, index)`);
+  }
+
+  indexOf(repeat: VirtualRepeat, item: any): number {
+    for (let i = 0, ii = this.count(repeat); i < ii; ++i) {
+      if (this.getItem(repeat, i) === item) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+  * Handle the repeat's collection instance mutating. Renders the items again unless overridden
+  * to call applySplices with the changes.
+  * @param repeat The repeat instance.
+  * @param items The modified collection.
+  * @param changes The changes reported by the collection observer.
+  */
+  instanceMutated(repeat: VirtualRepeat, items: any, changes: any): void {
+    this.refresh(repeat);
+  }
+
+  /**
+  * Renders the changes of the items, which already happened.
+  * @param repeat The repeat instance.
+  * @param splices The changes as array splices: { index, removed: Array<any>, addedCount }.
+  */
+  applySplices(repeat: VirtualRepeat, splices: Array<any>): void {
+    if (splices.length > 0) {
+      getRenderer(this).instanceMutated(repeat, new StrategyItems(this, repeat), splices);
+    }
+  }
+
+  /**
+  * Renders the items again, keeping the scroll position.
+  */
+  refresh(repeat: VirtualRepeat): void {
+    repeat.itemsChanged();
+  }
+}
+
+const renderers = new WeakMap();
+
+function getRenderer(strategy: VirtualRepeatStrategy): StrategyRenderer {
+  let renderer = renderers.get(strategy);
+  if (renderer === undefined) {
+    renderer = new StrategyRenderer(strategy);
+    renderers.set(strategy, renderer);
+  }
+  return renderer;
+}
+
+/**
+* Renders the views of a VirtualRepeatStrategy like the ones of an array, reading the items through the strategy.
+* Kept apart from the public class, so that strategies don't inherit the internals of the array strategy.
+*/
+class StrategyRenderer extends ArrayVirtualRepeatStrategy {
+  constructor(strategy: VirtualRepeatStrategy) {
+    super();
+    this.strategy = strategy;
+  }
+
+  count(repeat: VirtualRepeat): number {
+    return this.strategy.count(repeat);
+  }
+
+  getItem(repeat: VirtualRepeat, index: number): any {
+    return this.strategy.getItem(repeat, index);
+  }
+
+  indexOf(repeat: VirtualRepeat, item: any): number {
+    return this.strategy.indexOf(repeat, item);
+  }
+
+  // the strategy already holds the state after the splices, the views only read the items they render
+  _copyItems(repeat: VirtualRepeat, items: StrategyItems): StrategyItems {
+    return new StrategyItems(this.strategy, repeat);
+  }
+}
+
+/**
+* The items of a strategy as the splices are rendered, an array-like getting only the items
+* rendered by the views instead of every item of the strategy.
+*/
+class StrategyItems {
+  constructor(strategy: VirtualRepeatStrategy, repeat: VirtualRepeat) {
+    this.strategy = strategy;
+    this.repeat = repeat;
+    this.length = strategy.count(repeat);
+  }
+
+  item(index: number): any {
+    return index >= 0 && index < this.length ? this.strategy.getItem(this.repeat, index) : undefined;
+  }
+
+  indexOf(item: any): number {
+    return this.strategy.indexOf(this.repeat, item);
+  }
+
+  /**
+  * Copies the items from start up to end into an array, like Array.prototype.slice without negative indexes.
+  */
+  slice(start: number = 0, end: number = this.length): Array<any> {
+    let items = [];
+    for (let i = Math.max(start, 0), ii = Math.min(end, this.length); i < ii; ++i) {
+      items.push(this.item(i));
+    }
+    return items;
+  }
+}
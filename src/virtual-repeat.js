@@ -1,5 +1,5 @@
 import {inject} from 'aurelia-dependency-injection';
-import {ObserverLocator} from 'aurelia-binding';
+import {ObserverLocator, Binding, bindingMode} from 'aurelia-binding';
 import {
   BoundViewFactory,
   ViewSlot,
@@ -16,21 +16,40 @@ import {
   isOneTime,
   unwrapExpression,
   updateOneTimeBinding,
+  updateOverrideContext,
   viewsRequireLifecycle
 } from 'aurelia-templating-resources';
 import {DOM} from 'aurelia-pal';
 import {
+  rebindAndMoveView,
+  getTemplateElement,
+  getTemplateElementExpression,
+  calcOuterWidth,
   getStyleValue,
-  calcOuterHeight,
-  rebindAndMoveView
+  createItemOverrideContext,
+  setViewItem,
+  getViewItem,
+  getTemplateBehaviorInstruction,
+  StreamEntry,
+  GroupEntry,
+  createAbortController
 } from './utilities';
 import {DomHelper} from './dom-helper';
+import {VerticalOrientation, HorizontalOrientation} from './orientation';
+import {SizeCache} from './size-cache';
+import {TableColumns} from './table-columns';
+import {LayoutObserver} from './layout-observer';
 import {VirtualRepeatStrategyLocator} from './virtual-repeat-strategy-locator';
-import {TemplateStrategyLocator} from './template-strategy';
+import {DataProviderVirtualRepeatStrategy, isPlaceholder} from './data-provider-virtual-repeat-strategy';
+import {GroupVirtualRepeatStrategy} from './group-virtual-repeat-strategy';
+import {TreeVirtualRepeatStrategy} from './tree-virtual-repeat-strategy';
+import {TemplateStrategyLocator, TableStrategy} from './template-strategy';
+import {VirtualizationConfiguration} from './virtualization-configuration';
+import {InfiniteScrollNext} from './infinite-scroll-next';
 
 @customAttribute('virtual-repeat')
 @templateController
-@inject(DOM.Element, BoundViewFactory, TargetInstruction, ViewSlot, ViewResources, ObserverLocator, VirtualRepeatStrategyLocator, TemplateStrategyLocator, DomHelper)
+@inject(DOM.Element, BoundViewFactory, TargetInstruction, ViewSlot, ViewResources, ObserverLocator, VirtualRepeatStrategyLocator, TemplateStrategyLocator, DomHelper, VirtualizationConfiguration)
 export class VirtualRepeat extends AbstractRepeater {
   _first = 0;
   _previousFirst = 0;
@@ -38,19 +57,100 @@ export class VirtualRepeat extends AbstractRepeater {
   _lastRebind = 0;
   _topBufferHeight = 0;
   _bottomBufferHeight = 0;
+  _topBufferCount = 0;
+  _bottomBufferCount = 0;
   _bufferSize = 5;
+  _itemsPerRow = 1;
+  _isGrid = false;
+  // the grid layout and the cells of table rows render their views from the scroll position, see _renderWindow
+  _rendersWindow = false;
+  _tableColumns = null;
   _scrollingDown = false;
   _scrollingUp = false;
   _switchedDirection = false;
   _isAttached = false;
   _ticking = false;
   _fixedHeightContainer = false;
+  _scrollOffset = 0;
+  _isAnchoredToBottom = false;
+  _isStuckToBottom = false;
+  // the element whose overflow-anchor the bottom anchor turned off, with the value to restore
+  _overflowAnchor = null;
   _hasCalculatedSizes = false;
   _isAtTop = true;
   _calledGetMore = false;
+  _getMoreState = null;
+  _getMoreError = null;
+  // whether the pending or failed infinite-scroll-next call loads the items before the first one
+  _getMoreBefore = false;
+  _getMoreLoad = null;
+  _scrollDirection = 'down';
+  _scrollVelocity = 0;
+  _lastScrollPosition = 0;
+  _lastScrollTime = null;
+  _optionBindings = [];
+  _parts = {};
+  /**
+  * The infinite-scroll-next attribute in the template of the repeater, and the one of an element wrapping
+  * the repeater, see _getLoader.
+  */
+  _loaderInstruction = null;
+  _templateLoader = null;
+  _registeredLoader = null;
+  _hasStickyHeaders = true;
+  _stickyHeader = null;
+  /**
+  * The identity of the items, set with key.bind on the repeated element.
+  * Either the name of a property of the items or a function returning the key of an item.
+  */
+  itemKey = null;
+  /**
+  * The indexes of the first and last item in the viewport, bound with first-visible-index.bind and
+  * last-visible-index.bind on the repeated element. -1 while there are no items.
+  */
+  firstVisibleIndex = -1;
+  lastVisibleIndex = -1;
+  /**
+  * Whether infinite-scroll-next may load items after or before the loaded ones, bound with has-more.bind
+  * and has-more-before.bind on the repeated element, e.g. to stop at the last page of the server.
+  */
+  hasMore = true;
+  hasMoreBefore = true;
+  /**
+  * How far from the end of the list infinite-scroll-next is called, set with infinite-scroll-threshold
+  * on the repeated element: a number of rows, or pixels like '300px'. Falls back to the plugin configuration.
+  */
+  infiniteScrollThreshold = null;
+  /**
+  * The name of the property of a node telling whether it is expanded, set with tree-expanded on the repeated element.
+  */
+  treeExpanded = 'expanded';
+  _renderedRange = null;
 
   @bindable items
   @bindable local
+  @bindable key
+  @bindable value
+  /**
+  * The number of rows rendered before and after the viewport, set with overscan.bind on the repeated
+  * element. Falls back to the overscan of the plugin configuration.
+  */
+  @bindable overscan
+  /**
+  * Renders the items in groups, each one preceded by a header, set with group-by.bind on the repeated element:
+  * the name of a property holding the key of the group of an item, or a function returning it.
+  */
+  @bindable groupBy
+  /**
+  * Renders the items as groups, set with group-items on the repeated element: the name of the property
+  * of each item holding the items of that group.
+  */
+  @bindable groupItems
+  /**
+  * Renders the items as the roots of a tree, set with tree-children.bind on the repeated element:
+  * the name of the property of a node holding its children, or a function returning them.
+  */
+  @bindable treeChildren
   constructor(
     element: Element,
     viewFactory: BoundViewFactory,
@@ -60,7 +160,8 @@ export class VirtualRepeat extends AbstractRepeater {
     observerLocator: ObserverLocator,
     strategyLocator: VirtualRepeatStrategyLocator,
     templateStrategyLocator: TemplateStrategyLocator,
-    domHelper: DomHelper) {
+    domHelper: DomHelper,
+    configuration: VirtualizationConfiguration) {
     super({
       local: 'item',
       viewsRequireLifecycle: viewsRequireLifecycle(viewFactory)
@@ -77,65 +178,164 @@ export class VirtualRepeat extends AbstractRepeater {
     this.sourceExpression = getItemsSourceExpression(this.instruction, 'virtual-repeat.for');
     this.isOneTime = isOneTime(this.sourceExpression);
     this.domHelper = domHelper;
+    this.configuration = configuration;
+    this._sizeCache = new SizeCache();
+    this._layoutObserver = new LayoutObserver({
+      onContainerResize: () => this._handleContainerResize(),
+      onViewResize: () => this._queueMeasureViews(),
+      onLayoutShift: () => this._checkDistanceToTop(),
+      isOwnNode: node => this._isOwnNode(node)
+    });
   }
 
   attached(): void {
     this._isAttached = true;
     let element = this.element;
-    this._itemsLength = this.items.length;
-    this.templateStrategy = this.templateStrategyLocator.getStrategy(element);
-    this.scrollContainer = this.templateStrategy.getScrollContainer(element);
+    this.strategy = this._getStrategy(this.items);
+    this._itemsLength = this.strategy.count(this);
+    let templateStrategyName = this._getOptionAttribute('virtual-repeat-template-strategy');
+    this.templateStrategy = templateStrategyName
+      ? this.templateStrategyLocator.getStrategyByName(templateStrategyName)
+      : this.templateStrategyLocator.getStrategy(element);
+    let columnsElement = this.templateStrategy.getColumnsElement ? this.templateStrategy.getColumnsElement(element) : null;
+    if (columnsElement) {
+      if (this._isGrouped()) {
+        throw new Error('virtual-repeat can\'t render the cells of a table row in groups of group-by or group-items');
+      }
+      // the rows of a table share the sizes of the columns, see TableColumns
+      this._tableColumns = TableColumns.get(columnsElement);
+      this._tableColumns.add(this);
+      this._sizeCache = this._tableColumns.sizeCache;
+    }
+    this.orientation = columnsElement || this._getOptionAttribute('virtual-repeat-orientation') === 'horizontal'
+      ? new HorizontalOrientation(this.domHelper)
+      : new VerticalOrientation(this.domHelper);
+    this._initScrollContainer();
     this.topBuffer = this.templateStrategy.createTopBufferElement(element);
     this.bottomBuffer = this.templateStrategy.createBottomBufferElement(element);
+    this.orientation.prepareBufferElement(this.topBuffer);
+    this.orientation.prepareBufferElement(this.bottomBuffer);
+    this._isGrid = !this.orientation.isHorizontal && this._getOptionAttribute('virtual-repeat-layout') === 'grid';
+    if (this._isGrid && this._isGrouped()) {
+      throw new Error('virtual-repeat-layout="grid" can\'t render groups of group-by or group-items');
+    }
+    this._rendersWindow = this._isGrid || this._tableColumns !== null;
+    this._hasStickyHeaders = this._getOptionAttribute('virtual-repeat-sticky-headers') !== 'false';
+    if (this._isGrid) {
+      // buffers have to fill a whole row of a CSS grid or flex-wrap container
+      for (let buffer of [this.topBuffer, this.bottomBuffer]) {
+        buffer.style.gridColumn = '1 / -1';
+        buffer.style.flexBasis = '100%';
+      }
+    }
     this.itemsChanged();
     this.scrollListener = () => this._onScroll();
 
-    this.calcDistanceToTopInterval = setInterval(() => {
-      let distanceToTop = this.distanceToTop;
-      this.distanceToTop = this.domHelper.getElementDistanceToTopOfDocument(this.topBuffer);
-      this.distanceToTop += this.topBufferDistance;
-      if (distanceToTop !== this.distanceToTop) {
-        this._handleScroll();
-      }
-    }, 500);
-
-    this.distanceToTop = this.domHelper.getElementDistanceToTopOfDocument(this.templateStrategy.getFirstElement(this.topBuffer));
+    this.distanceToTop = this.orientation.getElementDistanceToStartOfDocument(this.templateStrategy.getFirstElement(this.topBuffer));
     // When dealing with tables, there can be gaps between elements, causing distances to be messed up. Might need to handle this case here.
     this.topBufferDistance = this.templateStrategy.getTopBufferDistance(this.topBuffer);
+    this._scrollOffset = this._calcScrollOffset();
+    this._scrollEventTarget = this._getScrollElement() || document;
+    this._scrollEventTarget.addEventListener('scroll', this.scrollListener);
+    this._observeLayout();
 
-    if (this.domHelper.hasOverflowScroll(this.scrollContainer)) {
-      this._fixedHeightContainer = true;
-      this.scrollContainer.addEventListener('scroll', this.scrollListener);
-    } else {
-      document.addEventListener('scroll', this.scrollListener);
+    this._isAnchoredToBottom = this._getOptionAttribute('virtual-repeat-anchor') === 'bottom';
+    if (this._isAnchoredToBottom) {
+      // the repeater keeps the position itself, scroll anchoring of the browser would correct it twice
+      let scrollElement = this._getScrollElement() || document.scrollingElement || document.documentElement;
+      this._overflowAnchor = { element: scrollElement, value: scrollElement.style.overflowAnchor };
+      scrollElement.style.overflowAnchor = 'none';
+      this._isStuckToBottom = true;
+      this._scrollToEnd();
     }
   }
 
   bind(bindingContext, overrideContext): void {
     this.scope = { bindingContext, overrideContext };
+    this._bindOption('key', 'itemKey');
+    this._bindOption('overscan', 'overscan');
+    this._bindOption('first-visible-index', 'firstVisibleIndex', bindingMode.twoWay);
+    this._bindOption('last-visible-index', 'lastVisibleIndex', bindingMode.twoWay);
+    this._bindOption('has-more', 'hasMore');
+    this._bindOption('has-more-before', 'hasMoreBefore');
+    this._bindOption('infinite-scroll-threshold', 'infiniteScrollThreshold');
+    this._bindOption('group-by', 'groupBy');
+    this._bindOption('group-items', 'groupItems');
+    this._bindOption('tree-children', 'treeChildren');
+    this._bindOption('tree-expanded', 'treeExpanded');
+    this._bindLoader();
     if (this._isAttached) {
       this.itemsChanged();
     }
   }
 
+  overscanChanged(): void {
+    if (this._isAttached && this._hasCalculatedSizes) {
+      this._updateViewsLength(true);
+    }
+  }
+
+  groupByChanged(): void {
+    this.itemsChanged();
+  }
+
+  groupItemsChanged(): void {
+    this.itemsChanged();
+  }
+
+  treeChildrenChanged(): void {
+    this.itemsChanged();
+  }
+
   call(context, changes): void {
     this[context](this.items, changes);
   }
 
   detached(): void {
-    this.scrollContainer.removeEventListener('scroll', this.scrollListener);
+    this._cancelGetMore();
+    this._scrollEventTarget.removeEventListener('scroll', this.scrollListener);
+    this._scrollEventTarget = null;
+    this._layoutObserver.disconnect();
     this._first = 0;
     this._previousFirst = 0;
     this._viewsLength = 0;
     this._lastRebind = 0;
     this._topBufferHeight = 0;
     this._bottomBufferHeight = 0;
+    this._topBufferCount = 0;
+    this._bottomBufferCount = 0;
+    this._itemsPerRow = 1;
+    if (this._tableColumns !== null) {
+      this._tableColumns.remove(this);
+      this._tableColumns = null;
+      this._sizeCache = new SizeCache();
+    }
+    this._rendersWindow = false;
+    this._sizeCache.reset(0);
     this._scrollingDown = false;
     this._scrollingUp = false;
     this._switchedDirection = false;
     this._isAttached = false;
     this._ticking = false;
     this._hasCalculatedSizes = false;
+    this._isAnchoredToBottom = false;
+    this._isStuckToBottom = false;
+    if (this._overflowAnchor !== null) {
+      this._overflowAnchor.element.style.overflowAnchor = this._overflowAnchor.value;
+      this._overflowAnchor = null;
+    }
+    this._renderedRange = null;
+    this._getMoreState = null;
+    this._getMoreError = null;
+    this._getMoreBefore = false;
+    this._scrollDirection = 'down';
+    this._scrollVelocity = 0;
+    this._lastScrollPosition = 0;
+    this._lastScrollTime = null;
+    for (let kind in this._parts) {
+      this._parts[kind].hide();
+    }
+    this._removeStickyHeader();
     this.templateStrategy.removeBufferElements(this.element, this.topBuffer, this.bottomBuffer);
     this.isLastIndex = false;
     this.scrollContainer = null;
@@ -146,10 +346,6 @@ export class VirtualRepeat extends AbstractRepeater {
       this.scrollHandler.dispose();
     }
     this._unsubscribeCollection();
-    clearInterval(this.calcDistanceToTopInterval);
-    if (this._sizeInterval) {
-      clearInterval(this._sizeInterval);
-    }
   }
 
   itemsChanged(): void {
@@ -160,37 +356,46 @@ export class VirtualRepeat extends AbstractRepeater {
     }
     let reducingItems = false;
     let previousLastViewIndex = this._getIndexOfLastView();
+    let scrollAnchor = this._captureScrollAnchor();
 
     let items = this.items;
-    this.strategy = this.strategyLocator.getStrategy(items);
-    if (items.length > 0 && this.viewCount() === 0) {
+    this.strategy = this._getStrategy(items);
+    if (this._getMoreLoad !== null && this._getMoreLoad.items !== items) {
+      // the pending infinite-scroll-next call loads items for the replaced collection
+      this._cancelGetMore();
+    }
+    let itemsLength = this.strategy.count(this);
+    // the sizes of the removed rows that were rendered, read before the reset drops what was measured
+    let removedSize = this._getSizeOfRows(this._getRowCount(itemsLength), this._getRowIndex(previousLastViewIndex) + 1);
+    this._resetSizeCache(this._getRowCount(itemsLength));
+    if (this.templateStrategy.resetBufferElements) {
+      this.templateStrategy.resetBufferElements(this.topBuffer, this.bottomBuffer);
+    }
+    if (itemsLength > 0 && this.viewCount() === 0) {
       this.strategy.createFirstItem(this);
     }
     // Skip scroll handling if we are decreasing item list
     // Otherwise if expanding list, call the handle scroll below
-    if (this._itemsLength >= items.length) {
+    // The grid layout and the cells of table rows render their views from the scroll position, see _renderWindow
+    if (this._itemsLength >= itemsLength && !this._rendersWindow) {
       //Scroll handle is redundant in this case since the instanceChanged will re-evaluate orderings
       //  Also, when items are reduced, we're not having to move any bindings, just a straight rebind of the items in the list
       this._skipNextScrollHandle = true;
       reducingItems = true;
     }
-    this._checkFixedHeightContainer();
-    this._calcInitialHeights(items.length);
+    this._calcInitialHeights(itemsLength);
     if (!this.isOneTime && !this._observeInnerCollection()) {
       this._observeCollection();
     }
     this.strategy.instanceChanged(this, items, this._first);
     this._lastRebind = this._first; //Reset rebinding
 
-    if (reducingItems && previousLastViewIndex > this.items.length - 1) {
+    if (reducingItems && previousLastViewIndex > itemsLength - 1) {
       //Do we need to set scrolltop so that we appear at the bottom of the list to match scrolling as far as we could?
       //We only want to execute this line if we're reducing such that it brings us to the bottom of the new list
-      //Make sure we handle the special case of tables
-      if (this.scrollContainer.tagName === 'TBODY') {
-        let realScrollContainer = this.scrollContainer.parentNode.parentNode; //tbody > table > container
-        realScrollContainer.scrollTop = realScrollContainer.scrollTop + (this.viewCount() * this.itemHeight);
-      } else {
-        this.scrollContainer.scrollTop = this.scrollContainer.scrollTop + (this.viewCount() * this.itemHeight);
+      //_getScrollElement takes care of the special case of tables
+      if (this._getScrollElement()) {
+        this._setScrollPosition(this._getScrollPosition() + removedSize);
       }
     }
     if (!reducingItems) {
@@ -200,14 +405,29 @@ export class VirtualRepeat extends AbstractRepeater {
       this._scrollingUp = false;
 
       //Make sure we fix any state (we could have been at the last index before, but this doesn't get set until too late for scrolling)
-      this.isLastIndex = this._getIndexOfLastView() >= this.items.length - 1;
+      this.isLastIndex = this._getIndexOfLastView() >= itemsLength - 1;
     }
 
     //Need to readjust the scroll position to "move" us back to the appropriate position, since moving the views will shift our view port's percieved location
     this._handleScroll();
+    this._queueMeasureViews();
+    this._restoreScrollAnchor(scrollAnchor);
+    this._updateVisibleRange();
+    this._updateParts();
+    this._updateStickyHeader();
+    this._loadIfEmpty();
   }
 
   unbind(): void {
+    for (let binding of this._optionBindings) {
+      binding.unbind();
+    }
+    this._optionBindings = [];
+    if (this._templateLoader !== null) {
+      this._templateLoader.unbind();
+      this._templateLoader = null;
+    }
+    this._loaderInstruction = null;
     this.scope = null;
     this.items = null;
     this._itemsLength = null;
@@ -215,8 +435,20 @@ export class VirtualRepeat extends AbstractRepeater {
 
   handleCollectionMutated(collection, changes): void {
     this._handlingMutations = true;
-    this._itemsLength = collection.length;
+    this._itemsLength = this.strategy.count(this);
+    if (this._rendersWindow) {
+      // a splice shifts items between rows of a grid or columns of a table, render them again from the current position
+      this.itemsChanged();
+      return;
+    }
+    let scrollAnchor = this._captureScrollAnchor();
     this.strategy.instanceMutated(this, collection, changes);
+    this._queueMeasureViews();
+    this._restoreScrollAnchor(scrollAnchor);
+    this._updateVisibleRange();
+    this._updateParts();
+    this._updateStickyHeader();
+    this._loadIfEmpty();
   }
 
   handleInnerCollectionMutated(collection, changes): void {
@@ -240,7 +472,242 @@ export class VirtualRepeat extends AbstractRepeater {
     }
   }
 
+  /**
+  * Scrolls the list so that the item at the given index is rendered and visible.
+  * @param index The index of the item in the collection.
+  * @param options The alignment of the item within the viewport: 'start', 'center', 'end',
+  * or 'auto' (the default) to scroll as little as possible.
+  */
+  scrollToIndex(index: number, options?: { align?: string } = {}): void {
+    if (!this._isAttached || !this._hasCalculatedSizes || !this.items) {
+      return;
+    }
+    let itemsLength = this.strategy.count(this);
+    if (itemsLength === 0) {
+      return;
+    }
+    index = Math.max(0, Math.min(index, itemsLength - 1));
+    let align = options.align || 'auto';
+    let target = this._getScrollPositionOfIndex(index, align);
+    if (target === null) {
+      return;
+    }
+    this._setScrollPosition(target);
+    this._handleScroll();
+    // the rows that were just rendered may not have the estimated size, correct the position once they are measured
+    this.observerLocator.taskQueue.queueMicroTask(() => {
+      if (!this._isAttached) {
+        return;
+      }
+      let correctedTarget = this._getScrollPositionOfIndex(index, align);
+      if (correctedTarget !== null && correctedTarget !== this._getScrollPosition()) {
+        this._setScrollPosition(correctedTarget);
+      }
+    });
+  }
+
+  /**
+  * Scrolls the list so that the given item is rendered and visible.
+  * @param item An item of the collection, or the key of an entry of a Map.
+  * Data providers only find the items of the pages that are loaded.
+  * @param options See scrollToIndex.
+  */
+  scrollToItem(item: any, options?: { align?: string }): void {
+    if (!this._isAttached || !this.items) {
+      return;
+    }
+    let index = this.strategy.indexOf(this, item);
+    if (index !== -1) {
+      this.scrollToIndex(index, options);
+    }
+  }
+
+  /**
+  * Expands a node of a tree, rendering its children after it. A node within a collapsed one is
+  * rendered expanded once its ancestors are expanded.
+  */
+  expand(node: any): void {
+    this._setExpanded(node, true);
+  }
+
+  /**
+  * Collapses a node of a tree, removing the views of its descendants.
+  */
+  collapse(node: any): void {
+    this._setExpanded(node, false);
+  }
+
+  /**
+  * Expands a collapsed node of a tree, or collapses an expanded one. Also available as $toggle() within the template.
+  */
+  toggle(node: any): void {
+    this._setExpanded(node, !node[this.treeExpanded]);
+  }
+
+  _getScrollPositionOfIndex(index: number, align: string): number {
+    let sizeCache = this._sizeCache;
+    let rowIndex = this._getRowIndex(index);
+    let itemStart = sizeCache.getOffset(rowIndex);
+    let itemSize = sizeCache.get(rowIndex);
+    let viewportSize = this._getViewportSize();
+    let scrollPosition = this._getScrollPosition();
+    // the sticky header of the group covers the start of the viewport
+    let coveredSize = this._getStickyHeaderSize(index);
+    let target;
+    switch (align) {
+    case 'start':
+      target = itemStart - coveredSize;
+      break;
+    case 'center':
+      target = itemStart - (viewportSize - itemSize) / 2;
+      break;
+    case 'end':
+      target = itemStart + itemSize - viewportSize;
+      break;
+    default:
+      if (itemStart - coveredSize < scrollPosition) {
+        target = itemStart - coveredSize;
+      } else if (itemStart + itemSize > scrollPosition + viewportSize) {
+        target = itemStart + itemSize - viewportSize;
+      } else {
+        return null;
+      }
+    }
+    return Math.max(0, target);
+  }
+
+  _getViewportSize(): number {
+    let scrollElement = this._getScrollElement();
+    return scrollElement ? this.orientation.calcScrollSize(scrollElement) : this.orientation.getViewportSize();
+  }
+
+  _scrollToEnd(): void {
+    this.scrollToIndex(this.strategy.count(this) - 1, { align: 'end' });
+  }
+
+  _isScrolledToEnd(): boolean {
+    return this._getScrollPosition() + this._getViewportSize() >= this._sizeCache.getTotalSize() - 1;
+  }
+
+  /**
+  * Remembers the first visible item and how far the list is scrolled past its start, so the item can
+  * stay in place when items are inserted or removed above it. Only used with virtual-repeat-anchor="bottom".
+  */
+  _captureScrollAnchor(): any {
+    if (!this._isAnchoredToBottom || this._isStuckToBottom || !this._hasCalculatedSizes) {
+      return null;
+    }
+    let scrollPosition = this._getScrollPosition();
+    let rowIndex = this._sizeCache.getIndexAt(scrollPosition);
+    let index = rowIndex * this._itemsPerRow;
+    // the collection is already mutated, the views still render the items from before
+    let views = this.viewSlot.children;
+    for (let i = 0, ii = views.length; i < ii; ++i) {
+      if (views[i].overrideContext.$index === index) {
+        let item = getViewItem(this, views[i]);
+        return {
+          // Map entries are found by their key
+          item: this.key !== undefined && this.value !== undefined ? item[0] : item,
+          offset: scrollPosition - this._sizeCache.getOffset(rowIndex)
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+  * Keeps the list scrolled to the end when it was before, or else the captured item in place.
+  */
+  _restoreScrollAnchor(scrollAnchor: any): void {
+    if (!this._isAnchoredToBottom) {
+      return;
+    }
+    if (this._isStuckToBottom) {
+      this._scrollToEnd();
+      return;
+    }
+    let index = scrollAnchor === null ? -1 : this.strategy.indexOf(this, scrollAnchor.item);
+    if (index === -1) {
+      return;
+    }
+    let position = this._sizeCache.getOffset(this._getRowIndex(index)) + scrollAnchor.offset;
+    if (position !== this._getScrollPosition()) {
+      this._setScrollPosition(position);
+      this._handleScroll();
+    }
+  }
+
+  /**
+  * Gets the element that scrolls the list, or null when the document scrolls it.
+  */
+  _getScrollElement(): Element {
+    return this._fixedHeightContainer ? this.scrollContainer : null;
+  }
+
+  /**
+  * Finds the element scrolling the list: the one matching the virtual-repeat-scroll-container selector,
+  * or else the one given by the scrollContainer option of the plugin, by default the nearest ancestor
+  * whose computed overflow lets it scroll and whose size is constrained, see DomHelper.findScrollContainer.
+  * The list is only scrolled by an element found here, otherwise by the document.
+  * virtual-repeat-scroll-container="document" scrolls the list with the document.
+  * When the document scrolls the list, the scroll container is the element holding the items.
+  */
+  _initScrollContainer(): void {
+    let listContainer = this.templateStrategy.getScrollContainer(this.element);
+    let selector = this._getOptionAttribute('virtual-repeat-scroll-container');
+    let option = this.configuration.scrollContainer;
+    let scrollContainer = null;
+    if (!selector && typeof option === 'function') {
+      scrollContainer = option(listContainer) || null;
+    } else {
+      if (!selector && option && option !== 'auto') {
+        selector = option;
+      }
+      if (selector && selector !== 'document') {
+        scrollContainer = listContainer.closest(selector) || document.querySelector(selector);
+        if (!scrollContainer) {
+          throw new Error(`virtual-repeat-scroll-container: no element matches '${selector}'`);
+        }
+      } else if (!selector) {
+        scrollContainer = this.orientation.findScrollContainer(listContainer);
+      }
+    }
+    this._fixedHeightContainer = scrollContainer !== null;
+    this.scrollContainer = scrollContainer || listContainer;
+    this.configuration.log('virtual-repeat scrolls with', scrollContainer || document);
+  }
+
+  /**
+  * Gets the distance of the list to the start of the content of its scroll container,
+  * e.g. the height of a header above the list in the same container.
+  */
+  _calcScrollOffset(): number {
+    let scrollElement = this._getScrollElement();
+    return scrollElement
+      ? this.orientation.getDistanceToStartOfScrollContent(this.topBuffer, scrollElement) + this.topBufferDistance
+      : 0;
+  }
+
+  _getScrollPosition(): number {
+    let scrollElement = this._getScrollElement();
+    let orientation = this.orientation;
+    return scrollElement ? orientation.getScrollPosition(scrollElement) - this._scrollOffset : orientation.getDocumentScrollPosition() - this.distanceToTop;
+  }
+
+  _setScrollPosition(position: number): void {
+    let scrollElement = this._getScrollElement();
+    if (scrollElement) {
+      this.orientation.setScrollPosition(scrollElement, position + this._scrollOffset);
+    } else {
+      this.orientation.scrollDocumentTo(position + this.distanceToTop);
+    }
+  }
+
   _onScroll(): void {
+    if (this._isAnchoredToBottom) {
+      this._isStuckToBottom = this._isScrolledToEnd();
+    }
+    this._trackScrollVelocity();
     if (!this._ticking && !this._handlingMutations) {
       requestAnimationFrame(() => this._handleScroll());
       this._ticking = true;
@@ -251,6 +718,31 @@ export class VirtualRepeat extends AbstractRepeater {
     }
   }
 
+  /**
+  * Remembers the direction and the speed of the last scroll, reported to infinite-scroll-next.
+  */
+  _trackScrollVelocity(): void {
+    let position = this._getScrollPosition();
+    let time = Date.now();
+    let distance = position - this._lastScrollPosition;
+    if (this._lastScrollTime !== null && time > this._lastScrollTime) {
+      this._scrollVelocity = distance * 1000 / (time - this._lastScrollTime);
+    }
+    if (distance !== 0) {
+      this._scrollDirection = distance > 0 ? 'down' : 'up';
+    }
+    this._lastScrollPosition = position;
+    this._lastScrollTime = time;
+  }
+
+  /**
+  * Gets the speed of the last scroll in pixels per second, negative when scrolling up
+  * and 0 once the list has not been scrolled for a moment.
+  */
+  _getScrollVelocity(): number {
+    return this._lastScrollTime !== null && Date.now() - this._lastScrollTime <= 100 ? this._scrollVelocity : 0;
+  }
+
   _handleScroll(): void {
     if (!this._isAttached) {
       return;
@@ -259,14 +751,30 @@ export class VirtualRepeat extends AbstractRepeater {
       this._skipNextScrollHandle = false;
       return;
     }
-    let itemHeight = this.itemHeight;
-    let scrollTop = this._fixedHeightContainer ? this.scrollContainer.scrollTop : pageYOffset - this.distanceToTop;
-    this._first = Math.floor(scrollTop / itemHeight);
+    let itemsLength = this.strategy.count(this);
+    let scrollTop = this._getScrollPosition();
+    // the rows of an overscan are rendered before the viewport as well as after it
+    let overscan = this._getOverscan() || 0;
+    this._first = (this._sizeCache.getIndexAt(scrollTop) - overscan) * this._itemsPerRow;
     this._first = this._first < 0 ? 0 : this._first;
-    if (this._first > this.items.length - this.elementsInView) {
-      this._first = this.items.length - this.elementsInView;
+    if (this._first > itemsLength - this.elementsInView) {
+      this._first = itemsLength - this.elementsInView;
       this._first = this._first < 0 ? 0 : this._first;
     }
+    // wait for the sizes of the grid or of the columns before rendering anything else than the first item
+    if (this._rendersWindow) {
+      if (this._viewsLength > 0) {
+        this._renderWindow(this._first);
+      }
+      if (this._first !== this._previousFirst) {
+        this._getMore();
+        this._queueMeasureViews();
+      }
+      this._previousFirst = this._first;
+      this._ticking = false;
+      this._updateVisibleRange();
+      return;
+    }
     this._checkScrolling();
     // TODO if and else paths do almost same thing, refactor?
     if (this._scrollingDown) {
@@ -277,14 +785,14 @@ export class VirtualRepeat extends AbstractRepeater {
       this._isAtTop = false;
       this._lastRebind = this._first;
       let movedViewsCount = this._moveViews(viewsToMove);
-      let adjustHeight = movedViewsCount < viewsToMove ? this._bottomBufferHeight : itemHeight * movedViewsCount;
+      let adjustCount = movedViewsCount < viewsToMove ? this._bottomBufferCount : movedViewsCount;
       if (viewsToMove > 0) {
         this._getMore();
       }
       this._switchedDirection = false;
-      this._topBufferHeight = this._topBufferHeight + adjustHeight;
-      this._bottomBufferHeight = this._bottomBufferHeight - adjustHeight;
-      if (this._bottomBufferHeight >= 0) {
+      this._topBufferCount = this._topBufferCount + adjustCount;
+      this._bottomBufferCount = this._bottomBufferCount - adjustCount;
+      if (this._bottomBufferCount >= 0) {
         this._adjustBufferHeights();
       }
     } else if (this._scrollingUp) {
@@ -292,7 +800,8 @@ export class VirtualRepeat extends AbstractRepeater {
       let initialScrollState = this.isLastIndex === undefined; //Use for catching initial scroll state where a small page size might cause _getMore not to fire.
       if (this._switchedDirection) {
         if (this.isLastIndex) {
-          viewsToMove = this.items.length - this._first - this.elementsInView;
+          // the views of an overscan start at first, the others end with the items in view
+          viewsToMove = overscan > 0 ? this._topBufferCount - this._first : itemsLength - this._first - this.elementsInView;
         } else {
           viewsToMove = this._bufferSize - (this._first - this._lastRebind);
         }
@@ -301,65 +810,66 @@ export class VirtualRepeat extends AbstractRepeater {
       this._lastRebind = this._first;
       let movedViewsCount = this._moveViews(viewsToMove);
       this.movedViewsCount = movedViewsCount;
-      let adjustHeight = movedViewsCount < viewsToMove ? this._topBufferHeight : itemHeight * movedViewsCount;
+      let adjustCount = movedViewsCount < viewsToMove ? this._topBufferCount : movedViewsCount;
       if (viewsToMove > 0) {
         let force = this.movedViewsCount === 0 && initialScrollState && this._first <= 0 ? true : false;
         this._getMore(force);
       }
       this._switchedDirection = false;
-      this._topBufferHeight = this._topBufferHeight - adjustHeight;
-      this._bottomBufferHeight = this._bottomBufferHeight + adjustHeight;
-      if (this._topBufferHeight >= 0) {
+      this._topBufferCount = this._topBufferCount - adjustCount;
+      this._bottomBufferCount = this._bottomBufferCount + adjustCount;
+      if (this._topBufferCount >= 0) {
         this._adjustBufferHeights();
       }
     }
+    if (this._isScrolling) {
+      this._queueMeasureViews();
+    }
     this._previousFirst = this._first;
 
     this._ticking = false;
+    this._updateVisibleRange();
+    this._updateStickyHeader();
   }
 
   _getMore(force): void {
-    if (this.isLastIndex || this._first === 0 || force) {
+    let threshold = this._getInfiniteScrollThreshold();
+    let hasMore = this.hasMore !== false;
+    let hasMoreBefore = this.hasMoreBefore !== false;
+    let isNearBottom = this.isLastIndex || threshold > 0 && this._getIndexOfLastView() >= this.strategy.count(this) - 1 - threshold;
+    let isNearTop = this._first <= threshold;
+    if (isNearBottom && hasMore || isNearTop && hasMoreBefore || force && (hasMore || hasMoreBefore)) {
       if (!this._calledGetMore) {
         let executeGetMore = () => {
+          let loader = this._getLoader();
+          if (loader === null) {
+            return null;
+          }
           this._calledGetMore = true;
-          let func = (this.view(0) && this.view(0).firstChild && this.view(0).firstChild.au && this.view(0).firstChild.au['infinite-scroll-next']) ? this.view(0).firstChild.au['infinite-scroll-next'].instruction.attributes['infinite-scroll-next'] : undefined;
           let topIndex = this._first;
-          let isAtBottom = this._bottomBufferHeight === 0;
-          let isAtTop = this._isAtTop;
+          // within the threshold, the list is considered at its end to load the next items in advance,
+          // an end without more items is not reported as reached
+          let isAtBottom = hasMore && (this._bottomBufferCount === 0 || threshold > 0 && isNearBottom);
+          let isAtTop = hasMoreBefore && (this._isAtTop || threshold > 0 && isNearTop);
+          // aborted when the items are replaced or the repeater is detached before the call settles
+          let load = { items: this.items, controller: createAbortController() };
+          this._getMoreBefore = isAtTop && !isAtBottom;
+          let signal = load.controller.signal;
           let scrollContext = {
             topIndex: topIndex,
             isAtBottom: isAtBottom,
-            isAtTop: isAtTop
+            isAtTop: isAtTop,
+            signal: signal,
+            direction: this._scrollDirection,
+            lastIndex: this._getIndexOfLastView(),
+            count: this.strategy.count(this),
+            viewportCount: this.elementsInView,
+            velocity: this._getScrollVelocity()
           };
 
           this.scope.overrideContext.$scrollContext = scrollContext;
-
-          if (func === undefined) {
-            return null;
-          } else if (typeof func === 'string') {
-            let getMoreFuncName = this.view(0).firstChild.getAttribute('infinite-scroll-next');
-            let funcCall = this.scope.overrideContext.bindingContext[getMoreFuncName];
-
-            if (typeof funcCall === 'function') {
-              let result = funcCall.call(this.scope.overrideContext.bindingContext, topIndex, isAtBottom, isAtTop);
-              if (!(result instanceof Promise)) {
-                this._calledGetMore = false; //Reset for the next time
-              } else {
-                return result.then(() => {
-                  this._calledGetMore = false; //Reset for the next time
-                });
-              }
-            } else {
-              throw new Error("'infinite-scroll-next' must be a function or evaluate to one");
-            }
-          } else if (func.sourceExpression) {
-            this._calledGetMore = false; //Reset for the next time
-            return func.sourceExpression.evaluate(this.scope);
-          } else {
-            throw new Error("'infinite-scroll-next' must be a function or evaluate to one");
-          }
-          return null;
+          this._getMoreLoad = load;
+          return this._handleGetMoreResult(loader.load(scrollContext), load);
         };
 
         this.observerLocator.taskQueue.queueMicroTask(executeGetMore);
@@ -367,8 +877,183 @@ export class VirtualRepeat extends AbstractRepeater {
     }
   }
 
+  /**
+  * Calls infinite-scroll-next for the first items of an empty list, which never scrolls to call it.
+  */
+  _loadIfEmpty(): void {
+    if (this._isAttached && this.items !== null && this.items !== undefined && this.strategy.count(this) === 0 && this._getLoader() !== null) {
+      this._getMore(true);
+    }
+  }
+
+  /**
+  * Keeps infinite-scroll-next from being called again until the promise it returned settles,
+  * showing the loading part meanwhile and the error part when the promise is rejected.
+  */
+  _handleGetMoreResult(result: any, load: any): Promise<void> {
+    if (!(result instanceof Promise)) {
+      this._calledGetMore = false; //Reset for the next time
+      this._getMoreLoad = null;
+      return null;
+    }
+    this._setGetMoreState('loading');
+    return result.then(() => {
+      // a cancelled call is settled already
+      if (this._getMoreLoad !== load) {
+        return;
+      }
+      this._getMoreLoad = null;
+      this._calledGetMore = false; //Reset for the next time
+      this._setGetMoreState(null);
+    }, error => {
+      if (this._getMoreLoad !== load) {
+        return;
+      }
+      // a failed page must not disable infinite scrolling for good
+      this._getMoreLoad = null;
+      this._calledGetMore = false;
+      this._setGetMoreState('error', error);
+      if (!this._parts.error) {
+        this.configuration.logError('infinite-scroll-next failed', error);
+      }
+    });
+  }
+
+  /**
+  * Aborts the signal of the pending infinite-scroll-next call and ignores how it settles,
+  * so that infinite-scroll-next can be called for the new items right away.
+  */
+  _cancelGetMore(): void {
+    let load = this._getMoreLoad;
+    if (load === null) {
+      return;
+    }
+    this._getMoreLoad = null;
+    this._calledGetMore = false;
+    load.controller.abort();
+    this._setGetMoreState(null);
+  }
+
+  _setGetMoreState(state: string, error?: any): void {
+    this._getMoreState = state;
+    this._getMoreError = state === 'error' ? error : null;
+    this._updateParts();
+  }
+
+  /**
+  * Calls infinite-scroll-next again after it failed, for $retry() of the error part.
+  */
+  _retryGetMore(): void {
+    this._setGetMoreState(null);
+    this._getMore(true);
+  }
+
+  /**
+  * Creates the loader of the infinite-scroll-next attribute in the template of the repeater, bound
+  * against the scope of the repeater instead of the one of a view, so that it is called without any view.
+  */
+  _bindLoader(): void {
+    let instruction = getTemplateBehaviorInstruction(this.viewFactory, 'infinite-scroll-next');
+    this._loaderInstruction = instruction;
+    if (instruction === null) {
+      return;
+    }
+    let loader = new InfiniteScrollNext(this.element, null);
+    loader.bind(this.scope.bindingContext, this.scope.overrideContext);
+    let value = instruction.attributes['infinite-scroll-next'];
+    if (value && typeof value.createBinding === 'function') {
+      let binding = value.createBinding(loader);
+      binding.bind(this.scope);
+      this._optionBindings.push(binding);
+    } else {
+      loader.value = value;
+    }
+    this._templateLoader = loader;
+  }
+
+  /**
+  * Gets the infinite-scroll-next attribute calling the loader, the one in the template of the repeater
+  * before the one of a wrapping element. Returns null when there is none.
+  */
+  _getLoader(): InfiniteScrollNext {
+    return this._templateLoader !== null ? this._templateLoader : this._registeredLoader;
+  }
+
+  _registerLoader(loader: InfiniteScrollNext): void {
+    this._registeredLoader = loader;
+    this._loadIfEmpty();
+  }
+
+  _unregisterLoader(loader: InfiniteScrollNext): void {
+    if (this._registeredLoader === loader) {
+      this._registeredLoader = null;
+    }
+  }
+
+  _registerPart(part: VirtualRepeatPart): void {
+    this._parts[part.kind] = part;
+    this._updateParts();
+  }
+
+  _unregisterPart(part: VirtualRepeatPart): void {
+    if (this._parts[part.kind] === part) {
+      delete this._parts[part.kind];
+    }
+  }
+
+  /**
+  * Shows the loading, empty and error parts that match the state of the repeater and hides the others.
+  */
+  _updateParts(): void {
+    if (!this._isAttached) {
+      return;
+    }
+    let {loading, empty, error} = this._parts;
+    let state = this._getMoreState;
+    let hasItems = this.items !== null && this.items !== undefined;
+    if (loading) {
+      if (state === 'loading') {
+        loading.show();
+      } else {
+        loading.hide();
+      }
+    }
+    if (error) {
+      if (state === 'error') {
+        error.show({ $error: this._getMoreError, $retry: () => this._retryGetMore() });
+      } else {
+        error.hide();
+      }
+    }
+    if (empty) {
+      if (hasItems && state !== 'loading' && this.strategy.count(this) === 0) {
+        empty.show();
+      } else {
+        empty.hide();
+      }
+    }
+    this._placeParts();
+  }
+
+  /**
+  * Keeps the shown parts next to the rendered items, between the buffers: the loading and error parts
+  * of a call of infinite-scroll-next for the items before the first one above the items, the others below.
+  * Called whenever views are moved, which inserts them next to the buffers.
+  */
+  _placeParts(): void {
+    let views = this.viewSlot.children;
+    // views added to the view slot are inserted before the anchor of the repeater, keep it below the parts
+    let bottom = this.bottomBuffer.previousSibling === this.element ? this.element : this.bottomBuffer;
+    for (let kind in this._parts) {
+      let part = this._parts[kind];
+      if (part.view !== null) {
+        part.moveBefore(kind !== 'empty' && this._getMoreBefore && views.length > 0 ? views[0].firstChild : bottom);
+      }
+    }
+  }
+
   _checkScrolling(): void {
-    if (this._first > this._previousFirst && (this._bottomBufferHeight > 0 || !this.isLastIndex)) {
+    if (this._first > this._previousFirst && (this._bottomBufferCount > 0 || !this.isLastIndex)) {
       if (!this._scrollingDown) {
         this._scrollingDown = true;
         this._scrollingUp = false;
@@ -377,7 +1062,7 @@ export class VirtualRepeat extends AbstractRepeater {
         this._switchedDirection = false;
       }
       this._isScrolling = true;
-    } else if (this._first < this._previousFirst && (this._topBufferHeight >= 0 || !this._isAtTop)) {
+    } else if (this._first < this._previousFirst && (this._topBufferCount >= 0 || !this._isAtTop)) {
       if (!this._scrollingUp) {
         this._scrollingDown = false;
         this._scrollingUp = true;
@@ -391,15 +1076,23 @@ export class VirtualRepeat extends AbstractRepeater {
     }
   }
 
-  _checkFixedHeightContainer(): void {
-    if (this.domHelper.hasOverflowScroll(this.scrollContainer)) {
-      this._fixedHeightContainer = true;
-    }
-  }
-
+  /**
+  * Converts the number of items held by each buffer into pixels, using the measured
+  * size of the items where known and the estimated size for the others.
+  */
   _adjustBufferHeights(): void {
-    this.topBuffer.style.height = `${this._topBufferHeight}px`;
-    this.bottomBuffer.style.height = `${this._bottomBufferHeight}px`;
+    let sizeCache = this._sizeCache;
+    let itemsPerRow = this._itemsPerRow;
+    this._topBufferHeight = sizeCache.getOffset(Math.floor(this._topBufferCount / itemsPerRow));
+    this._bottomBufferHeight = this._bottomBufferCount > 0
+      ? sizeCache.getTotalSize() - sizeCache.getOffset(Math.ceil((this.strategy.count(this) - this._bottomBufferCount) / itemsPerRow))
+      : 0;
+    this.orientation.setBufferSize(this.topBuffer, this._topBufferHeight);
+    this.orientation.setBufferSize(this.bottomBuffer, this._bottomBufferHeight);
+    this._placeParts();
+    if (this.templateStrategy.updateBufferElements) {
+      this.templateStrategy.updateBufferElements(this.topBuffer, this.bottomBuffer, Math.max(this._getIndexOfFirstView(), 0));
+    }
   }
 
   _unsubscribeCollection(): void {
@@ -415,16 +1108,16 @@ export class VirtualRepeat extends AbstractRepeater {
     let isAtFirstOrLastIndex = () => this._scrollingDown ? this.isLastIndex : this._isAtTop;
     let childrenLength = this.viewCount();
     let viewIndex = this._scrollingDown ? 0 : childrenLength - 1;
-    let items = this.items;
+    let itemsLength = this.strategy.count(this);
     let index = this._scrollingDown ? this._getIndexOfLastView() + 1 : this._getIndexOfFirstView() - 1;
     let i = 0;
     let viewToMoveLimit = length - (childrenLength * 2);
     while (i < length && !isAtFirstOrLastIndex()) {
       let view = this.view(viewIndex);
       let nextIndex = getNextIndex(index, i);
-      this.isLastIndex = nextIndex >= items.length - 1;
+      this.isLastIndex = nextIndex >= itemsLength - 1;
       this._isAtTop = nextIndex <= 0;
-      if (!(isAtFirstOrLastIndex() && childrenLength >= items.length)) {
+      if (!(isAtFirstOrLastIndex() && childrenLength >= itemsLength)) {
         if (i > viewToMoveLimit) {
           rebindAndMoveView(this, view, nextIndex, this._scrollingDown);
         }
@@ -456,39 +1149,79 @@ export class VirtualRepeat extends AbstractRepeater {
     return this.view(0) ? this.view(0).overrideContext.$index : -1;
   }
 
+  /**
+  * Updates firstVisibleIndex and lastVisibleIndex and dispatches a virtual-repeat-range-change event
+  * from the repeater when they or the range of rendered items changed.
+  */
+  _updateVisibleRange(): void {
+    if (!this._isAttached || !this.strategy) {
+      return;
+    }
+    let itemsLength = this.strategy.count(this);
+    let firstVisibleIndex = -1;
+    let lastVisibleIndex = -1;
+    if (itemsLength > 0 && this._hasCalculatedSizes) {
+      let sizeCache = this._sizeCache;
+      let itemsPerRow = this._itemsPerRow;
+      let scrollPosition = Math.max(0, this._getScrollPosition());
+      let lastRow = sizeCache.getIndexAt(scrollPosition + Math.max(0, this._getViewportSize() - 1));
+      firstVisibleIndex = Math.min(sizeCache.getIndexAt(scrollPosition) * itemsPerRow, itemsLength - 1);
+      lastVisibleIndex = Math.min((lastRow + 1) * itemsPerRow - 1, itemsLength - 1);
+    }
+    let firstRenderedIndex = this._getIndexOfFirstView();
+    let lastRenderedIndex = this._getIndexOfLastView();
+    let renderedRange = this._renderedRange;
+    if (firstVisibleIndex === this.firstVisibleIndex && lastVisibleIndex === this.lastVisibleIndex
+      && renderedRange !== null && renderedRange[0] === firstRenderedIndex && renderedRange[1] === lastRenderedIndex) {
+      return;
+    }
+    this.firstVisibleIndex = firstVisibleIndex;
+    this.lastVisibleIndex = lastVisibleIndex;
+    this._renderedRange = [firstRenderedIndex, lastRenderedIndex];
+    this.element.dispatchEvent(DOM.createCustomEvent('virtual-repeat-range-change', {
+      bubbles: true,
+      detail: { firstVisibleIndex, lastVisibleIndex, firstRenderedIndex, lastRenderedIndex }
+    }));
+  }
+
   _calcInitialHeights(itemsLength: number): void {
     if (this._viewsLength > 0 && this._itemsLength === itemsLength || !this.viewCount()) {
       return;
     }
     this._hasCalculatedSizes = true;
     let firstViewElement = this.view(0).lastChild;
-    this.itemHeight = calcOuterHeight(firstViewElement);
-    if (this.itemHeight <= 0) {
-      this._sizeInterval = setInterval(()=>{
-        let newCalcSize = calcOuterHeight(firstViewElement);
-        if (newCalcSize > 0) {
-          clearInterval(this._sizeInterval);
-          this.itemsChanged();
-        }
-      }, 500);
+    let firstViewHeight = this.orientation.calcOuterSize(firstViewElement);
+    if (firstViewHeight <= 0) {
+      // e.g. the list is in a hidden tab, start over once the first row can be measured
+      this._layoutObserver.whenSized(firstViewElement, () => this.orientation.calcOuterSize(firstViewElement) > 0, () => this.itemsChanged());
       return;
     }
+    // Unless configured, the first row measured becomes the estimate for every row that has not been rendered yet
+    let sizeCache = this._sizeCache;
+    if (!sizeCache.estimatedSize) {
+      sizeCache.setEstimatedSize(this.configuration.estimatedItemSize > 0 ? this.configuration.estimatedItemSize : firstViewHeight);
+    }
+    if (this._isGrid) {
+      this._itemsPerRow = this._calcItemsPerRow();
+      sizeCache.setLength(this._getRowCount(itemsLength));
+    }
+    sizeCache.set(this._getRowIndex(this._getIndexOfFirstView()), firstViewHeight);
+    this.itemHeight = sizeCache.estimatedSize;
 
     this._itemsLength = itemsLength;
-    this.scrollContainerHeight = this._fixedHeightContainer ? this._calcScrollHeight(this.scrollContainer) : document.documentElement.clientHeight;
-    this.elementsInView = Math.ceil(this.scrollContainerHeight / this.itemHeight) + 1;
-    this._viewsLength = (this.elementsInView * 2) + this._bufferSize;
-
-    //Look at top buffer height (how far we've scrolled down)
-    //If top buffer height is greater than the new bottom buffer height (how far we *can* scroll down)
-    //    Then set top buffer height to max it can be (bottom buffer height - views in length?) and bottom buffer height to 0
-    let newBottomBufferHeight = this.itemHeight * itemsLength - this.itemHeight * this._viewsLength; //How much buffer room to the bottom if you were at the top
-    if (newBottomBufferHeight < 0) { // In case of small lists, ensure that we never set the buffer heights to impossible values
-      newBottomBufferHeight = 0;
-    }
-    if (this._topBufferHeight >= newBottomBufferHeight) { //Use case when items are removed (we've scrolled past where we can)
-      this._topBufferHeight = newBottomBufferHeight;
-      this._bottomBufferHeight = 0;
+    this.scrollContainerHeight = this._calcScrollContainerSize();
+    this._calcViewsLength();
+
+    //Look at top buffer (how far we've scrolled down)
+    //If top buffer is greater than the new bottom buffer (how far we *can* scroll down)
+    //    Then set top buffer to max it can be (bottom buffer - views in length?) and bottom buffer to 0
+    let newBottomBufferCount = itemsLength - this._viewsLength; //How many items in the bottom buffer if you were at the top
+    if (newBottomBufferCount < 0) { // In case of small lists, ensure that we never set the buffers to impossible values
+      newBottomBufferCount = 0;
+    }
+    if (this._topBufferCount >= newBottomBufferCount) { //Use case when items are removed (we've scrolled past where we can)
+      this._topBufferCount = newBottomBufferCount;
+      this._bottomBufferCount = 0;
       this._first = this._itemsLength - this._viewsLength;
       if (this._first < 0) { // In case of small lists, ensure that we never set first to less than possible
         this._first = 0;
@@ -496,24 +1229,600 @@ export class VirtualRepeat extends AbstractRepeater {
     } else { //Use case when items are added (we are adding scrollable space to the bottom)
       // We need to re-evaluate which is the true "first". If we've added items, then the previous "first" is actually too far down the list
       this._first = this._getIndexOfFirstView();
-      let adjustedTopBufferHeight = this._first * this.itemHeight; //appropriate buffer height for top, might be 1 too long...
-      this._topBufferHeight = adjustedTopBufferHeight;
-      //But what about when we've only scrolled slightly down the list? We need to readjust the top buffer height then
-      this._bottomBufferHeight = newBottomBufferHeight - adjustedTopBufferHeight;
-      if (this._bottomBufferHeight < 0) {
-        this._bottomBufferHeight = 0;
+      this._topBufferCount = this._first; //appropriate buffer for top, might be 1 too long...
+      //But what about when we've only scrolled slightly down the list? We need to readjust the bottom buffer then
+      this._bottomBufferCount = newBottomBufferCount - this._first;
+      if (this._bottomBufferCount < 0) {
+        this._bottomBufferCount = 0;
       }
     }
     this._adjustBufferHeights();
     return;
   }
 
-  _calcScrollHeight(element: Element): number {
-    let height;
-    height = element.getBoundingClientRect().height;
-    height -= getStyleValue(element, 'borderTopWidth');
-    height -= getStyleValue(element, 'borderBottomWidth');
-    return height;
+  _queueMeasureViews(): void {
+    if (this._measureQueued) {
+      return;
+    }
+    this._measureQueued = true;
+    // bindings of rebound views flush their changes to the DOM in a micro task, measure after them
+    this.observerLocator.taskQueue.queueMicroTask(() => {
+      this._measureQueued = false;
+      this._measureViews();
+    });
+  }
+
+  /**
+  * Stores the size of every rendered view in the size cache and resizes the buffers
+  * when a row turned out to be taller or shorter than assumed.
+  */
+  _measureViews(): void {
+    if (!this._isAttached || !this._hasCalculatedSizes) {
+      return;
+    }
+    let sizeCache = this._sizeCache;
+    let changed = false;
+    let elements = this.viewSlot.children.map(view => view.lastChild);
+    if (this._tableColumns !== null) {
+      this._tableColumns.observeViews(this, elements);
+    } else {
+      this._layoutObserver.observeViews(elements);
+    }
+    // in a grid the tallest item of a row decides the height of the row
+    let rowIndex = -1;
+    let rowSize = 0;
+    for (let i = 0, ii = this.viewCount(); i <= ii; ++i) {
+      let view = this.view(i);
+      let index = view ? this._getRowIndex(view.overrideContext.$index) : -1;
+      if (index !== rowIndex) {
+        if (rowSize > 0 && sizeCache.set(rowIndex, rowSize)) {
+          changed = true;
+        }
+        rowIndex = index;
+        rowSize = 0;
+      }
+      if (view) {
+        rowSize = Math.max(rowSize, this.orientation.calcOuterSize(view.lastChild));
+      }
+    }
+    if (this.templateStrategy.measureBufferElements) {
+      this.templateStrategy.measureBufferElements(this.topBuffer, this.bottomBuffer);
+    }
+    if (!changed) {
+      return;
+    }
+    this._adjustBufferHeights();
+    this._updateViewsLength();
+    if (this._tableColumns !== null) {
+      this._tableColumns.sizesChanged(this);
+    }
+    this._updateStickyHeader();
+    if (this._isStuckToBottom) {
+      this._scrollToEnd();
+    }
+  }
+
+  /**
+  * Recomputes how many views are rendered and adds the missing ones.
+  * @param removeExtraViews Whether views that are not needed anymore are removed, or else kept.
+  */
+  _updateViewsLength(removeExtraViews?: boolean = false): void {
+    let viewsLength = this._viewsLength;
+    this._calcViewsLength();
+    if (this._viewsLength > viewsLength || removeExtraViews && this._viewsLength < viewsLength) {
+      if (this._rendersWindow) {
+        this._renderWindow(this._topBufferCount);
+      } else if (this._viewsLength > viewsLength) {
+        this._addMissingViews();
+      } else {
+        this._removeExtraViews();
+      }
+    } else {
+      this._viewsLength = viewsLength;
+    }
+  }
+
+  /**
+  * Moves the views beyond _viewsLength back into the bottom buffer.
+  */
+  _removeExtraViews(): void {
+    while (this.viewCount() > this._viewsLength) {
+      this.removeView(this.viewCount() - 1, true, true);
+      this._bottomBufferCount++;
+      this.isLastIndex = false;
+    }
+    this._adjustBufferHeights();
+  }
+
+  _calcScrollContainerSize(): number {
+    return this._fixedHeightContainer ? this.orientation.calcScrollSize(this.scrollContainer) : this.orientation.getViewportSize();
+  }
+
+  /**
+  * Watches the containers of the list for size changes and the content before the list
+  * in the element scrolling it, or in the document, for changes moving the list.
+  */
+  _observeLayout(): void {
+    let scrollElement = this._getScrollElement();
+    let containers = scrollElement ? [scrollElement] : [];
+    let listContainer = this.element.parentNode;
+    if (this._isGrid && listContainer && listContainer !== scrollElement) {
+      containers.push(listContainer);
+    }
+    if (this._tableColumns !== null) {
+      // the rows of a table share one observer instead of one each for the same container
+      this._tableColumns.observe(containers, this.topBuffer, scrollElement || document.body, !scrollElement);
+      return;
+    }
+    this._layoutObserver.observe(containers, this.topBuffer, scrollElement || document.body, !scrollElement);
+  }
+
+  /**
+  * Renders more views when the scroll container grew and lays out the grid again when its width changed.
+  */
+  _handleContainerResize(): void {
+    if (!this._isAttached || !this._hasCalculatedSizes) {
+      return;
+    }
+    if (this._isGrid) {
+      this._handleResize();
+    }
+    let size = this._calcScrollContainerSize();
+    if (size === this.scrollContainerHeight) {
+      return;
+    }
+    this.scrollContainerHeight = size;
+    this._updateViewsLength();
+  }
+
+  /**
+  * Updates the distance of the list to the start of the document and of its scroll container
+  * after content above it changed. In horizontal mode these are the distances to the left.
+  */
+  _checkDistanceToTop(): void {
+    if (!this._isAttached) {
+      return;
+    }
+    let distanceToTop = this.orientation.getElementDistanceToStartOfDocument(this.topBuffer) + this.topBufferDistance;
+    this._setDistanceToTop(distanceToTop, this._calcScrollOffset());
+  }
+
+  /**
+  * Renders the views for the new position of the list, when it moved.
+  */
+  _setDistanceToTop(distanceToTop: number, scrollOffset: number): void {
+    if (!this._isAttached || distanceToTop === this.distanceToTop && scrollOffset === this._scrollOffset) {
+      return;
+    }
+    this.distanceToTop = distanceToTop;
+    this._scrollOffset = scrollOffset;
+    this._handleScroll();
+  }
+
+  /**
+  * Whether a node is rendered by the repeater, changes to it do not move the list.
+  */
+  _isOwnNode(node: Node): boolean {
+    let listContainer = this.element.parentNode;
+    if (node === listContainer || node === this.topBuffer || node === this.bottomBuffer) {
+      return true;
+    }
+    while (node && node.parentNode !== listContainer) {
+      node = node.parentNode;
+    }
+    if (!node) {
+      return false;
+    }
+    if (this._stickyHeader !== null && node === this._stickyHeader.element) {
+      return true;
+    }
+    let views = this.viewSlot.children;
+    for (let i = 0, ii = views.length; i < ii; ++i) {
+      if (views[i].lastChild === node) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+  * Computes how many items fit into the viewport and how many views are rendered for them.
+  */
+  _calcViewsLength(): void {
+    let itemsPerRow = this._itemsPerRow;
+    let overscan = this._getOverscan();
+    this.elementsInView = (Math.ceil(this.scrollContainerHeight / this._sizeCache.getMinSize()) + 1) * itemsPerRow;
+    if (overscan === null) {
+      this._bufferSize = 5;
+      this._viewsLength = (this.elementsInView * 2) + (this._bufferSize * itemsPerRow);
+    } else {
+      // the buffer size is the number of views moved ahead when the scroll direction changes,
+      // the views of an overscan stay around the viewport instead, see _handleScroll
+      this._bufferSize = 0;
+      this._viewsLength = this.elementsInView + (2 * overscan * itemsPerRow);
+    }
+    this.configuration.log(`virtual-repeat renders ${this._viewsLength} views for ${this.elementsInView} items in view`);
+  }
+
+  /**
+  * Gets the overscan of the repeater or of the plugin configuration, null when neither is set.
+  */
+  _getOverscan(): number {
+    let overscan = this.overscan;
+    if (overscan === null || overscan === undefined || overscan === '') {
+      overscan = this.configuration.overscan;
+    }
+    if (overscan === null || overscan === undefined) {
+      return null;
+    }
+    overscan = Math.floor(Number(overscan));
+    return overscan >= 0 ? overscan : null;
+  }
+
+  /**
+  * Gets the number of items before the end of the list at which infinite-scroll-next is called,
+  * from the threshold of the repeater or of the plugin configuration, in rows or in pixels.
+  */
+  _getInfiniteScrollThreshold(): number {
+    let threshold = this.infiniteScrollThreshold;
+    if (threshold === null || threshold === undefined || threshold === '') {
+      threshold = this.configuration.infiniteScrollThreshold;
+    }
+    let rows;
+    if (typeof threshold === 'string' && threshold.trim().slice(-2) === 'px') {
+      let rowSize = this._sizeCache.estimatedSize;
+      rows = rowSize > 0 ? Math.ceil(parseFloat(threshold) / rowSize) : 0;
+    } else {
+      rows = Math.floor(Number(threshold));
+    }
+    return rows > 0 ? rows * this._itemsPerRow : 0;
+  }
+
+  /**
+  * Clears the sizes of the rows for new items. The rows of a table keep the sizes of the columns
+  * while they render as many, a row rendered again must not clear the sizes measured by the others.
+  */
+  _resetSizeCache(length: number): void {
+    if (this._tableColumns !== null && this._sizeCache.length === length) {
+      return;
+    }
+    this._sizeCache.reset(length);
+  }
+
+  /**
+  * Renders the columns of a table row again with the sizes measured by another row, see TableColumns.
+  */
+  _handleColumnSizesChanged(): void {
+    if (!this._isAttached || !this._hasCalculatedSizes) {
+      return;
+    }
+    this._updateViewsLength();
+    this._handleScroll();
+  }
+
+  _getRowIndex(index: number): number {
+    return Math.floor(index / this._itemsPerRow);
+  }
+
+  _getRowCount(itemsLength: number): number {
+    return Math.ceil(itemsLength / this._itemsPerRow);
+  }
+
+  /**
+  * Gets the size of the rows from start up to but excluding end, as measured or estimated by the size cache.
+  */
+  _getSizeOfRows(start: number, end: number): number {
+    if (end <= start) {
+      return 0;
+    }
+    return this._sizeCache.getOffset(end) - this._sizeCache.getOffset(start);
+  }
+
+  /**
+  * Measures the first item against the element holding the items to find out how many
+  * items the grid layout places next to each other.
+  */
+  _calcItemsPerRow(): number {
+    let firstView = this.view(0);
+    let container = this.element.parentNode;
+    if (!firstView || !container) {
+      return this._itemsPerRow;
+    }
+    let itemWidth = calcOuterWidth(firstView.lastChild);
+    if (itemWidth <= 0) {
+      return this._itemsPerRow;
+    }
+    let gap = getStyleValue(container, 'columnGap');
+    let containerWidth = container.clientWidth - getStyleValue(container, 'paddingLeft') - getStyleValue(container, 'paddingRight');
+    return Math.max(1, Math.floor((containerWidth + gap) / (itemWidth + gap)));
+  }
+
+  /**
+  * Recomputes the number of columns of the grid layout, keeping the first visible item
+  * in view when it changed.
+  */
+  _handleResize(): void {
+    if (!this._isAttached || !this._hasCalculatedSizes) {
+      return;
+    }
+    let itemsPerRow = this._calcItemsPerRow();
+    if (itemsPerRow === this._itemsPerRow) {
+      return;
+    }
+    // the first rendered item may be one of an overscan before the viewport
+    let first = Math.max(this.firstVisibleIndex, 0);
+    this._itemsPerRow = itemsPerRow;
+    this._sizeCache.reset(this._getRowCount(this.strategy.count(this)));
+    this._calcViewsLength();
+    this._renderWindow(first);
+    this._setScrollPosition(this._sizeCache.getOffset(this._getRowIndex(first)));
+    this._queueMeasureViews();
+  }
+
+  /**
+  * Renders the views of the items from the row containing first on, reusing the rendered views.
+  * Used by the grid layout, where the first view always has to start a row.
+  */
+  _renderWindow(first: number): void {
+    let strategy = this.strategy;
+    let itemsLength = strategy.count(this);
+    let itemsPerRow = this._itemsPerRow;
+    let viewsLength = Math.min(this._viewsLength, itemsLength);
+    first = Math.min(first, itemsLength - viewsLength);
+    first = Math.max(0, first - (first % itemsPerRow));
+    // the last row may be incomplete, render it as well instead of leaving a gap
+    let count = first + viewsLength + itemsPerRow > itemsLength ? itemsLength - first : viewsLength;
+
+    // move the views that are still needed instead of rebinding all of them
+    let previousFirst = this._topBufferCount;
+    let viewCount = this.viewCount();
+    let delta = first - previousFirst;
+    if (delta > 0 && delta < viewCount) {
+      let index = previousFirst + viewCount;
+      for (let i = 0; i < delta && index < itemsLength; ++i, ++index) {
+        rebindAndMoveView(this, this.view(0), index, true);
+      }
+    } else if (delta < 0 && -delta < viewCount) {
+      for (let i = 0, index = previousFirst - 1; i < -delta; ++i, --index) {
+        rebindAndMoveView(this, this.view(this.viewCount() - 1), index, false);
+      }
+    }
+
+    while (this.viewCount() > count) {
+      this.removeView(this.viewCount() - 1, true, true);
+    }
+    for (let i = 0, ii = this.viewCount(); i < ii; ++i) {
+      let view = this.view(i);
+      let index = first + i;
+      updateOverrideContext(view.overrideContext, index, itemsLength);
+      if (setViewItem(this, view, strategy.getItem(this, index))) {
+        this.updateBindings(view);
+      }
+    }
+    for (let index = first + this.viewCount(); index < first + count; ++index) {
+      let overrideContext = createItemOverrideContext(this, strategy.getItem(this, index), index, itemsLength);
+      this.addView(overrideContext.bindingContext, overrideContext);
+    }
+
+    this._topBufferCount = first;
+    this._bottomBufferCount = itemsLength - first - count;
+    this._lastRebind = first;
+    this._isAtTop = first === 0;
+    this.isLastIndex = first + count >= itemsLength;
+    this._adjustBufferHeights();
+  }
+
+  /**
+  * Renders views out of the buffers until the view slot holds _viewsLength views again,
+  * e.g. after smaller rows made more of them fit into the viewport.
+  */
+  _addMissingViews(): void {
+    let strategy = this.strategy;
+    let itemsLength = strategy.count(this);
+    while (this.viewCount() < this._viewsLength && this.viewCount() < itemsLength) {
+      let index;
+      if (this._bottomBufferCount > 0) {
+        index = this._getIndexOfLastView() + 1;
+        let overrideContext = createItemOverrideContext(this, strategy.getItem(this, index), index, itemsLength);
+        this.addView(overrideContext.bindingContext, overrideContext);
+        this._bottomBufferCount--;
+      } else if (this._topBufferCount > 0) {
+        index = this._getIndexOfFirstView() - 1;
+        let overrideContext = createItemOverrideContext(this, strategy.getItem(this, index), index, itemsLength);
+        this.insertView(0, overrideContext.bindingContext, overrideContext);
+        this._topBufferCount--;
+      } else {
+        break;
+      }
+    }
+    this.isLastIndex = this._getIndexOfLastView() >= itemsLength - 1;
+    this._adjustBufferHeights();
+    this._queueMeasureViews();
+  }
+
+  /**
+  * Reads a configuration attribute of the repeated element, e.g. virtual-repeat-orientation.
+  */
+  _getOptionAttribute(name: string): string {
+    let element = getTemplateElement(this.viewFactory);
+    return element && element.hasAttribute(name) ? element.getAttribute(name) : null;
+  }
+
+  /**
+  * Assigns an option of the repeated element to a property of the repeater.
+  * Attributes on the repeated element are compiled into every view, so an option set with a binding
+  * command is bound again here against the scope of the repeater and keeps the property up to date.
+  * @param mode Overrides the mode of the binding, e.g. for properties reporting the state of the repeater.
+  */
+  _bindOption(attributeName: string, property: string, mode?: number): void {
+    let expression = getTemplateElementExpression(this.viewFactory, attributeName);
+    if (expression === null) {
+      let value = this._getOptionAttribute(attributeName);
+      if (value !== null) {
+        this[property] = value;
+      }
+      return;
+    }
+    let binding = new Binding(this.observerLocator, expression.sourceExpression, this, property, mode === undefined ? expression.mode : mode, expression.lookupFunctions);
+    binding.bind(this.scope);
+    this._optionBindings.push(binding);
+  }
+
+  /**
+  * Gets the key of an item from the key option, or undefined when no key is set.
+  */
+  _getItemKey(item: any): any {
+    let itemKey = this.itemKey;
+    if (itemKey === null || itemKey === undefined || item === null || item === undefined || isPlaceholder(item)) {
+      return undefined;
+    }
+    if (item instanceof StreamEntry) {
+      // a header is matched by its group, which group-by keeps by its key when the groups are computed again
+      return item instanceof GroupEntry && item.isHeader ? item.group : this._getItemKey(item.item);
+    }
+    return typeof itemKey === 'function' ? itemKey(item) : item[itemKey];
+  }
+
+  /**
+  * Gets the strategy of the items, wrapped by one rendering them in groups when group-by or group-items is set.
+  */
+  _getStrategy(items: any): any {
+    let strategy = this.strategyLocator.getStrategy(items);
+    if (items === null || items === undefined) {
+      return strategy;
+    }
+    if (strategy instanceof DataProviderVirtualRepeatStrategy && (this.treeChildren || this._isGrouped())) {
+      // the groups and the tree are computed from all the items, which would request every page
+      throw new Error('virtual-repeat can\'t render the items of a data provider in groups or as a tree');
+    }
+    if (this.treeChildren) {
+      if (this._isGrouped()) {
+        throw new Error('virtual-repeat can\'t render a tree of tree-children in groups of group-by or group-items');
+      }
+      let treeStrategy = new TreeVirtualRepeatStrategy(strategy, this.treeChildren, this.treeExpanded);
+      treeStrategy.update(this);
+      return treeStrategy;
+    }
+    if (!this._isGrouped()) {
+      return strategy;
+    }
+    let previous = this.strategy instanceof GroupVirtualRepeatStrategy ? this.strategy : null;
+    let groupStrategy = new GroupVirtualRepeatStrategy(strategy, this.groupBy, this.groupItems, previous === null ? undefined : previous.groups);
+    groupStrategy.update(this);
+    return groupStrategy;
+  }
+
+  _isGrouped(): boolean {
+    return !!this.groupBy || !!this.groupItems;
+  }
+
+  _setExpanded(node: any, expanded: boolean): void {
+    let strategy = this.strategy;
+    if (this._isAttached && strategy instanceof TreeVirtualRepeatStrategy) {
+      strategy.setExpanded(this, node, expanded);
+    } else if (this.treeChildren) {
+      // the stream is computed with the state of the nodes once the repeater is attached
+      node[this.treeExpanded] = expanded;
+    }
+  }
+
+  /**
+  * Renders the entry at an index again into the view rendering it, e.g. a node that was expanded.
+  */
+  _updateEntryView(index: number): void {
+    let children = this.viewSlot.children;
+    for (let i = 0, ii = children.length; i < ii; ++i) {
+      let view = children[i];
+      if (view.overrideContext.$index === index) {
+        if (setViewItem(this, view, this.strategy.getItem(this, index))) {
+          this.updateBindings(view);
+        }
+        return;
+      }
+    }
+  }
+
+  /**
+  * Renders the header of the group at the start of the viewport into an element stuck to the start of
+  * the scroll container, which the header of the next group pushes out as it comes along.
+  */
+  _updateStickyHeader(): void {
+    let strategy = this.strategy;
+    let count = strategy instanceof GroupVirtualRepeatStrategy ? strategy.count(this) : 0;
+    if (!this._isAttached || !this._hasStickyHeaders || !this._hasCalculatedSizes || count === 0) {
+      this._removeStickyHeader();
+      return;
+    }
+    let sizeCache = this._sizeCache;
+    let position = Math.max(0, this._getScrollPosition());
+    let entry = strategy.getItem(this, Math.min(sizeCache.getIndexAt(position), count - 1));
+    let headerIndex = entry.headerIndex;
+    let header = this._stickyHeader || this._createStickyHeader();
+    if (header === null) {
+      return;
+    }
+    let view = header.view;
+    if (setViewItem(this, view, strategy.getItem(this, headerIndex)) || view.overrideContext.$index !== headerIndex) {
+      updateOverrideContext(view.overrideContext, headerIndex, count);
+      this.updateBindings(view);
+    }
+    let offset = 0;
+    if (entry.nextHeaderIndex < count) {
+      offset = Math.min(0, sizeCache.getOffset(entry.nextHeaderIndex) - position - sizeCache.get(headerIndex));
+    }
+    header.element.style.transform = this.orientation.isHorizontal ? `translateX(${offset}px)` : `translateY(${offset}px)`;
+  }
+
+  /**
+  * Gets the size of the sticky header over the item at index, 0 when index is a header or there is none.
+  */
+  _getStickyHeaderSize(index: number): number {
+    let strategy = this.strategy;
+    if (!this._hasStickyHeaders || !(strategy instanceof GroupVirtualRepeatStrategy) || this._stickyHeader === null) {
+      return 0;
+    }
+    let entry = strategy.getItem(this, index);
+    return entry && !entry.isHeader ? this._sizeCache.get(entry.headerIndex) : 0;
+  }
+
+  /**
+  * Creates the element holding the sticky header before the top buffer. It takes no space, the header
+  * overflows it over the items. Template strategies without buffer elements of their own don't get a sticky header,
+  * nor do tables, whose rows can't be wrapped into another element.
+  */
+  _createStickyHeader(): any {
+    let templateStrategy = this.templateStrategy;
+    if (typeof templateStrategy.createBufferElement !== 'function' || templateStrategy instanceof TableStrategy) {
+      return null;
+    }
+    let isHorizontal = this.orientation.isHorizontal;
+    let element = templateStrategy.createBufferElement(this.element);
+    element.setAttribute('aria-hidden', 'true');
+    element.style.position = 'sticky';
+    element.style[isHorizontal ? 'left' : 'top'] = '0';
+    element.style[isHorizontal ? 'width' : 'height'] = '0';
+    element.style.overflow = 'visible';
+    element.style.zIndex = '1';
+    this.topBuffer.parentNode.insertBefore(element, this.topBuffer);
+    let view = this.viewFactory.create();
+    let overrideContext = createItemOverrideContext(this, this.strategy.getItem(this, 0), 0, this.strategy.count(this));
+    view.bind(overrideContext.bindingContext, overrideContext);
+    view.appendNodesTo(element);
+    view.attached();
+    this._stickyHeader = { element, view };
+    return this._stickyHeader;
+  }
+
+  _removeStickyHeader(): void {
+    let header = this._stickyHeader;
+    if (header === null) {
+      return;
+    }
+    this._stickyHeader = null;
+    header.view.removeNodes();
+    header.view.detached();
+    header.view.unbind();
+    header.element.parentNode.removeChild(header.element);
   }
 
   _observeInnerCollection(): boolean {
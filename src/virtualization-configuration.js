@@ -0,0 +1,130 @@
+import * as LogManager from 'aurelia-logging';
+
+const logger = LogManager.getLogger('ui-virtualization');
+
+/**
+* The options of the plugin, each with a check of its values.
+*/
+const options = {
+  overscan: value => value === null || isNumber(value) && value >= 0,
+  estimatedItemSize: value => value === null || isNumber(value) && value > 0,
+  scrollContainer: value => typeof value === 'string' || typeof value === 'function',
+  infiniteScrollThreshold: value => isNumber(value) && value >= 0 || typeof value === 'string' && /^\s*\d+(\.\d+)?px\s*$/.test(value),
+  debug: value => typeof value === 'boolean'
+};
+
+/**
+* The defaults of every virtual-repeat in the application, set with the options of the plugin:
+* aurelia.use.plugin('aurelia-ui-virtualization', { overscan: 3 })
+*/
+export class VirtualizationConfiguration {
+  /**
+  * The number of rows rendered before and after the viewport. When null, the repeater renders
+  * another viewport worth of rows plus a few more.
+  */
+  overscan = null;
+
+  /**
+  * The size in pixels assumed for rows that are not measured yet. When null, the size of the first
+  * rendered row is used.
+  */
+  estimatedItemSize = null;
+
+  /**
+  * How the element scrolling a list is found when virtual-repeat-scroll-container is not set:
+  * 'auto' for the nearest ancestor whose overflow lets it scroll, 'document', a selector,
+  * or a function called with the element holding the items that returns the scroll container or null.
+  */
+  scrollContainer = 'auto';
+
+  /**
+  * How far before the first or after the last item infinite-scroll-next is called: a number of rows,
+  * or pixels like '300px'.
+  */
+  infiniteScrollThreshold = 0;
+
+  /**
+  * Whether the repeaters log how they render, e.g. the strategies they use and the views they create.
+  */
+  debug = false;
+
+  /**
+  * The strategies of custom collection types, see addStrategy.
+  */
+  strategies = [];
+
+  /**
+  * The template strategies added with addTemplateStrategy.
+  */
+  templateStrategies = [];
+
+  /**
+  * Applies the options of the plugin.
+  * @param values An object with the options overscan, estimatedItemSize, scrollContainer, infiniteScrollThreshold
+  * and debug, or a function changing the configuration.
+  */
+  apply(values: any): void {
+    if (typeof values === 'function') {
+      values(this);
+      return;
+    }
+    if (!values) {
+      return;
+    }
+    for (let name of Object.keys(values)) {
+      if (!options.hasOwnProperty(name)) {
+        throw new Error(`aurelia-ui-virtualization: unknown option '${name}', expected one of ${Object.keys(options).join(', ')}`);
+      }
+      if (!options[name](values[name])) {
+        throw new Error(`aurelia-ui-virtualization: invalid value ${String(values[name])} of option '${name}'`);
+      }
+    }
+    for (let name of Object.keys(values)) {
+      this[name] = values[name];
+    }
+  }
+
+  /**
+  * Renders the collections matched by matcher with strategy, before the built-in strategies of arrays,
+  * Sets, Maps, numbers and data providers are tried.
+  * @param matcher A function called with the items, returning whether strategy renders them.
+  * @param strategy A strategy, usually extending VirtualRepeatStrategy.
+  */
+  addStrategy(matcher: (items: any) => boolean, strategy: any): VirtualizationConfiguration {
+    this.strategies.push({ matcher, strategy });
+    return this;
+  }
+
+  /**
+  * Adds a template strategy, which places the buffers and the views of repeaters in elements
+  * the built-in strategies for tables, lists and description lists don't know about.
+  * @param name The name selecting the strategy with virtual-repeat-template-strategy.
+  * @param strategy A template strategy, or a class created by the container.
+  * @param matcher A function called with the anchor of a repeater, whose parentNode holds the items,
+  * returning whether strategy renders the repeater. Without it, the strategy is only used when selected by name.
+  */
+  addTemplateStrategy(name: string, strategy: any, matcher?: (element: Element) => boolean): VirtualizationConfiguration {
+    this.templateStrategies.push({ name, matcher, strategy });
+    return this;
+  }
+
+  /**
+  * Logs a message when debug is enabled.
+  */
+  log(message: string, ...rest): void {
+    if (this.debug) {
+      logger.info(message, ...rest);
+    }
+  }
+
+  /**
+  * Logs an error, whether debug is enabled or not.
+  */
+  logError(message: string, ...rest): void {
+    logger.error(message, ...rest);
+  }
+}
+
+function isNumber(value: any): boolean {
+  return typeof value === 'number' && !isNaN(value);
+}
@@ -0,0 +1,87 @@
+import {LayoutObserver} from '../src/layout-observer';
+
+describe('LayoutObserver', () => {
+  let callbacks;
+  let layoutObserver;
+  let element;
+  let resizeObserver;
+  let mutationObserver;
+
+  beforeEach(() => {
+    callbacks = jasmine.createSpyObj('callbacks', ['onContainerResize', 'onViewResize', 'onLayoutShift']);
+    callbacks.isOwnNode = () => false;
+    layoutObserver = new LayoutObserver(callbacks);
+    element = document.createElement('div');
+    document.body.appendChild(element);
+    resizeObserver = window.ResizeObserver;
+    mutationObserver = window.MutationObserver;
+    jasmine.clock().install();
+  });
+
+  afterEach(() => {
+    layoutObserver.disconnect();
+    jasmine.clock().uninstall();
+    window.ResizeObserver = resizeObserver;
+    window.MutationObserver = mutationObserver;
+    document.body.removeChild(element);
+  });
+
+  it('polls the containers and the position of the list without observers', () => {
+    window.ResizeObserver = undefined;
+    window.MutationObserver = undefined;
+    layoutObserver.observe([element], element, document.body, false);
+    expect(callbacks.onContainerResize).not.toHaveBeenCalled();
+    jasmine.clock().tick(layoutObserver.pollInterval);
+    expect(callbacks.onContainerResize).toHaveBeenCalledTimes(1);
+    expect(callbacks.onLayoutShift).toHaveBeenCalledTimes(1);
+    jasmine.clock().tick(layoutObserver.pollInterval);
+    expect(callbacks.onContainerResize).toHaveBeenCalledTimes(2);
+    layoutObserver.disconnect();
+    jasmine.clock().tick(layoutObserver.pollInterval);
+    expect(callbacks.onContainerResize).toHaveBeenCalledTimes(2);
+  });
+
+  it('only polls what the observers do not cover', () => {
+    window.MutationObserver = undefined;
+    layoutObserver.observe([element], element, document.body, false);
+    jasmine.clock().tick(layoutObserver.pollInterval);
+    expect(callbacks.onContainerResize).not.toHaveBeenCalled();
+    expect(callbacks.onLayoutShift).toHaveBeenCalledTimes(1);
+  });
+
+  it('watches only the elements before the list for moving it', done => {
+    let before = document.createElement('div');
+    let list = document.createElement('div');
+    let start = document.createElement('div');
+    let after = document.createElement('div');
+    list.appendChild(start);
+    element.appendChild(before);
+    element.appendChild(list);
+    element.appendChild(after);
+    layoutObserver.observe([], start, element, false);
+    expect(Array.from(layoutObserver._shiftElements)).toEqual([before]);
+    let inserted = document.createElement('div');
+    element.insertBefore(inserted, list);
+    after.appendChild(document.createElement('div'));
+    // the mutation records are delivered before this callback
+    Promise.resolve().then(() => {
+      expect(layoutObserver._shiftElements.has(inserted)).toBe(true);
+      expect(layoutObserver._shiftElements.size).toBe(2);
+      done();
+    });
+  });
+
+  it('polls until an element is sized without a resize observer', () => {
+    window.ResizeObserver = undefined;
+    let sized = false;
+    let callback = jasmine.createSpy('callback');
+    layoutObserver.whenSized(element, () => sized, callback);
+    jasmine.clock().tick(layoutObserver.pollInterval);
+    expect(callback).not.toHaveBeenCalled();
+    sized = true;
+    jasmine.clock().tick(layoutObserver.pollInterval);
+    expect(callback).toHaveBeenCalledTimes(1);
+    jasmine.clock().tick(layoutObserver.pollInterval);
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+});
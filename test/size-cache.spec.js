@@ -0,0 +1,53 @@
+import {SizeCache} from '../src/size-cache';
+
+describe('SizeCache', () => {
+  let sizeCache;
+
+  beforeEach(() => {
+    sizeCache = new SizeCache(10);
+    sizeCache.reset(100);
+  });
+
+  it('uses the estimated size for items that are not measured', () => {
+    expect(sizeCache.get(5)).toBe(10);
+    expect(sizeCache.getOffset(5)).toBe(50);
+    expect(sizeCache.getTotalSize()).toBe(1000);
+    expect(sizeCache.getIndexAt(55)).toBe(5);
+  });
+
+  it('uses measured sizes when computing offsets', () => {
+    sizeCache.set(2, 30);
+    sizeCache.set(3, 5);
+    expect(sizeCache.getOffset(3)).toBe(50);
+    expect(sizeCache.getOffset(4)).toBe(55);
+    expect(sizeCache.getTotalSize()).toBe(1015);
+    expect(sizeCache.getMinSize()).toBe(5);
+  });
+
+  it('finds the index of the item containing an offset', () => {
+    sizeCache.set(2, 30);
+    expect(sizeCache.getIndexAt(0)).toBe(0);
+    expect(sizeCache.getIndexAt(49)).toBe(2);
+    expect(sizeCache.getIndexAt(50)).toBe(3);
+    expect(sizeCache.getIndexAt(100000)).toBe(99);
+  });
+
+  it('keeps measurements aligned with splices', () => {
+    sizeCache.set(2, 30);
+    sizeCache.applySplices([{ index: 0, removed: ['a'], addedCount: 0 }]);
+    expect(sizeCache.length).toBe(99);
+    expect(sizeCache.get(1)).toBe(30);
+    sizeCache.applySplices([{ index: 0, removed: [], addedCount: 3 }]);
+    expect(sizeCache.length).toBe(102);
+    expect(sizeCache.get(4)).toBe(30);
+    expect(sizeCache.isMeasured(0)).toBe(false);
+    expect(sizeCache.getTotalSize()).toBe(1040);
+  });
+
+  it('forgets measurements on reset', () => {
+    sizeCache.set(2, 30);
+    sizeCache.reset(10);
+    expect(sizeCache.get(2)).toBe(10);
+    expect(sizeCache.getTotalSize()).toBe(100);
+  });
+});
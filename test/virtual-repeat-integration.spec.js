@@ -1,5 +1,9 @@
 import {StageComponent} from './component-tester';
-import {TableStrategy} from '../src/template-strategy';
+import {TableStrategy, DefaultTemplateStrategy, ListStrategy, DescriptionListStrategy} from '../src/template-strategy';
+import {ArrayDataProvider} from '../src/array-data-provider';
+import {placeholder} from '../src/data-provider-virtual-repeat-strategy';
+import {VirtualizationConfiguration} from '../src/virtualization-configuration';
+import {VirtualRepeatStrategy} from '../src/virtual-repeat-strategy';
 
 // async queue
 function createAssertionQueue() {
@@ -368,9 +372,84 @@ describe('VirtualRepeat Integration', () => {
         });
     });
 
+    it('renders more views when the container grows', done => {
+      containerCreate.then(() => {
+        let viewsLength = containerVirtualRepeat._viewsLength;
+        containerVirtualRepeat.scrollContainer.style.height = '1000px';
+        window.requestAnimationFrame(() => {
+          window.setTimeout(() => {
+            expect(containerVirtualRepeat.scrollContainerHeight).toBe(1000);
+            expect(containerVirtualRepeat._viewsLength).toBeGreaterThan(viewsLength);
+            expect(containerVirtualRepeat.viewCount()).toBe(containerVirtualRepeat._viewsLength);
+            validateState(containerVirtualRepeat, containerViewModel);
+            done();
+          }, 50);
+        });
+      });
+    });
+
     it('handles array changes', done => {
       create.then(() => validateArrayChange(virtualRepeat, viewModel, done));
     });
+
+    describe('scrolling to an item', () => {
+      function expectRendered(index) {
+        let views = containerVirtualRepeat.viewSlot.children;
+        let renderedIndexes = views.map(view => view.overrideContext.$index);
+        expect(renderedIndexes).toContain(index);
+        let view = views[renderedIndexes.indexOf(index)];
+        expect(view.bindingContext.item).toBe(containerViewModel.items[index]);
+      }
+
+      it('aligns the item to the start of the viewport', done => {
+        containerCreate.then(() => {
+          containerVirtualRepeat.scrollToIndex(500, { align: 'start' });
+          expect(containerVirtualRepeat.scrollContainer.scrollTop).toBe(500 * itemHeight);
+          expectRendered(500);
+          done();
+        });
+      });
+
+      it('aligns the item to the end of the viewport', done => {
+        containerCreate.then(() => {
+          containerVirtualRepeat.scrollToIndex(500, { align: 'end' });
+          expect(containerVirtualRepeat.scrollContainer.scrollTop).toBe(501 * itemHeight - 500);
+          expectRendered(500);
+          done();
+        });
+      });
+
+      it('does not scroll when the item is already visible', done => {
+        containerCreate.then(() => {
+          containerVirtualRepeat.scrollToIndex(2);
+          expect(containerVirtualRepeat.scrollContainer.scrollTop).toBe(0);
+          done();
+        });
+      });
+
+      it('scrolls to an item', done => {
+        containerCreate.then(() => {
+          containerVirtualRepeat.scrollToItem('item700', { align: 'start' });
+          expect(containerVirtualRepeat.scrollContainer.scrollTop).toBe(700 * itemHeight);
+          expectRendered(700);
+          done();
+        });
+      });
+
+      it('scrolls the document to an item of a list without a scroll container', done => {
+        create.then(() => {
+          virtualRepeat.scrollToIndex(500, { align: 'start' });
+          let view = virtualRepeat.views().find(rendered => rendered.overrideContext.$index === 500);
+          expect(view.bindingContext.item).toBe(viewModel.items[500]);
+          expect(view.lastChild.getBoundingClientRect().top).toBe(0);
+          virtualRepeat.scrollToIndex(100, { align: 'end' });
+          view = virtualRepeat.views().find(rendered => rendered.overrideContext.$index === 100);
+          expect(view.lastChild.getBoundingClientRect().bottom).toBe(document.documentElement.clientHeight);
+          window.scrollTo(0, 0);
+          done();
+        });
+      });
+    });
   });
 
   describe('iterating table', () => {
@@ -407,6 +486,495 @@ describe('VirtualRepeat Integration', () => {
     it('handles array changes', done => {
       create.then(() => validateArrayChange(virtualRepeat, viewModel, done));
     });
+
+    it('scrolls to a row', done => {
+      create.then(() => {
+        virtualRepeat.scrollToIndex(500, { align: 'start' });
+        let view = virtualRepeat.views().find(rendered => rendered.overrideContext.$index === 500);
+        expect(view.bindingContext.item).toBe(viewModel.items[500]);
+        expect(view.lastChild.localName).toBe('tr');
+        // give or take the border spacing of the table
+        expect(Math.abs(view.lastChild.getBoundingClientRect().top)).toBeLessThan(5);
+        validateScrolledState(virtualRepeat, viewModel);
+        window.scrollTo(0, 0);
+        done();
+      });
+    });
+  });
+
+  describe('table sections', () => {
+    let component;
+    let virtualRepeat;
+    let viewModel;
+    let create;
+
+    beforeEach(() => {
+      let items = [];
+      for(let i = 0; i < 1000; ++i) {
+        items.push('item' + i);
+      }
+      component = StageComponent
+        .withResources('src/virtual-repeat')
+        .inView(`<div id="tableContainer" style="height: 500px; overflow-y: scroll">
+                    <table style="border-collapse: collapse">
+                      <thead style="position: sticky; top: 0"><tr style="height: 50px"><th>name</th><th>length</th></tr></thead>
+                      <tbody>
+                        <tr style="height: ${itemHeight}px;" virtual-repeat.for="item of items"><td>\${item}</td><td>\${item.length}</td></tr>
+                      </tbody>
+                      <tfoot><tr><td colspan="2">\${items.length}</td></tr></tfoot>
+                    </table>
+                  </div>`)
+        .boundTo({ items: items });
+
+      create = component.create().then(() => {
+        virtualRepeat = component.sut;
+        viewModel = component.viewModel;
+      });
+    });
+
+    afterEach(() => {
+      component.cleanUp();
+    });
+
+    it('renders the buffers as spacer rows within the tbody', done => {
+      create.then(() => {
+        let tbody = document.querySelector('#tableContainer tbody');
+        expect(virtualRepeat.templateStrategy instanceof TableStrategy).toBe(true);
+        expect(virtualRepeat.topBuffer.localName).toBe('tr');
+        expect(virtualRepeat.topBuffer.parentNode).toBe(tbody);
+        expect(virtualRepeat.bottomBuffer.parentNode).toBe(tbody);
+        expect(tbody.previousElementSibling.localName).toBe('thead');
+        expect(tbody.nextElementSibling.localName).toBe('tfoot');
+        validateState(virtualRepeat, viewModel);
+        // the widths are measured with the heights of the rows, after they are rendered
+        nq(() => {
+          // a cell for each column of the first row keeps the widths of the columns
+          expect(virtualRepeat.topBuffer.cells.length).toBe(2);
+          done();
+        });
+      });
+    });
+
+    it('keeps a sticky thead in view while scrolling', done => {
+      create.then(() => {
+        let container = document.getElementById('tableContainer');
+        container.scrollTop = 100 * itemHeight;
+        container.dispatchEvent(new Event('scroll'));
+        window.setTimeout(() => {
+          window.requestAnimationFrame(() => {
+            let thead = document.querySelector('#tableContainer thead');
+            expect(thead.getBoundingClientRect().top).toBe(container.getBoundingClientRect().top);
+            expect(virtualRepeat._getIndexOfFirstView()).toBeGreaterThan(0);
+            validateScrolledState(virtualRepeat, viewModel);
+            done();
+          });
+        });
+      });
+    });
+
+    it('keeps the widths of the columns as the rows are recycled', done => {
+      create.then(() => {
+        let header = document.querySelector('#tableContainer th');
+        let width = header.getBoundingClientRect().width;
+        viewModel.items.splice(0, 10, 'a much longer item than the others');
+        nq(() => {
+          expect(header.getBoundingClientRect().width).toBeGreaterThan(width);
+          width = header.getBoundingClientRect().width;
+          viewModel.items.splice(0, 1, 'item');
+        });
+        nq(() => {
+          expect(header.getBoundingClientRect().width).toBe(width);
+          done();
+        });
+      });
+    });
+
+    it('releases the widths of the columns when the items are replaced', done => {
+      create.then(() => {
+        let header = document.querySelector('#tableContainer th');
+        let width = header.getBoundingClientRect().width;
+        viewModel.items.splice(0, 10, 'a much longer item than the others');
+        nq(() => {
+          expect(header.getBoundingClientRect().width).toBeGreaterThan(width);
+          viewModel.items = viewModel.items.slice(1);
+        });
+        nq(() => {
+          expect(header.getBoundingClientRect().width).toBe(width);
+          expect(parseFloat(virtualRepeat.topBuffer.cells[0].style.width)).toBe(width);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('template strategies', () => {
+    let component;
+    let virtualRepeat;
+    let viewModel;
+    let create;
+
+    class MarkedStrategy extends DefaultTemplateStrategy {
+      createBufferElement(element) {
+        let buffer = super.createBufferElement(element);
+        buffer.className = 'marked-buffer';
+        return buffer;
+      }
+    }
+
+    function createComponent(view, configure) {
+      let items = [];
+      for(let i = 0; i < 1000; ++i) {
+        items.push('item' + i);
+      }
+      component = StageComponent
+        .withResources('src/virtual-repeat')
+        .inView(view)
+        .boundTo({ items: items });
+      component.bootstrap(aurelia => {
+        aurelia.use.standardConfiguration();
+        if (configure) {
+          configure(aurelia.container.get(VirtualizationConfiguration));
+        }
+      });
+
+      create = component.create().then(() => {
+        virtualRepeat = component.sut;
+        viewModel = component.viewModel;
+      });
+    }
+
+    afterEach(() => {
+      component.cleanUp();
+    });
+
+    it('numbers the items of an ol by their index', done => {
+      createComponent(`<div id="olContainer" style="height: 500px; overflow-y: scroll">
+                          <ol start="3">
+                            <li style="height: ${itemHeight}px;" virtual-repeat.for="item of items">\${item}</li>
+                          </ol>
+                        </div>`);
+      create.then(() => {
+        expect(virtualRepeat.templateStrategy instanceof ListStrategy).toBe(true);
+        expect(virtualRepeat.topBuffer.localName).toBe('li');
+        expect(virtualRepeat.topBuffer.value).toBe(2);
+        let container = document.getElementById('olContainer');
+        container.scrollTop = 100 * itemHeight;
+        container.dispatchEvent(new Event('scroll'));
+        window.setTimeout(() => {
+          window.requestAnimationFrame(() => {
+            expect(virtualRepeat.topBuffer.value).toBe(2 + virtualRepeat._getIndexOfFirstView());
+            validateScrolledState(virtualRepeat, viewModel);
+            done();
+          });
+        });
+      });
+    });
+
+    it('renders the groups of a dl', done => {
+      createComponent(`<div style="height: 500px; overflow-y: scroll">
+                          <dl>
+                            <div style="height: ${itemHeight}px;" virtual-repeat.for="item of items"><dt>\${item}</dt><dd>\${item}</dd></div>
+                          </dl>
+                        </div>`);
+      create.then(() => {
+        expect(virtualRepeat.templateStrategy instanceof DescriptionListStrategy).toBe(true);
+        expect(virtualRepeat.topBuffer.localName).toBe('div');
+        validateState(virtualRepeat, viewModel);
+        done();
+      });
+    });
+
+    it('uses a template strategy added to the plugin', done => {
+      createComponent(`<div style="height: 500px; overflow-y: scroll">
+                          <div role="listbox">
+                            <div style="height: ${itemHeight}px;" virtual-repeat.for="item of items">\${item}</div>
+                          </div>
+                        </div>`, config => {
+        config.addTemplateStrategy('marked', MarkedStrategy, element => element.parentNode.getAttribute('role') === 'listbox');
+      });
+      create.then(() => {
+        expect(virtualRepeat.templateStrategy instanceof MarkedStrategy).toBe(true);
+        expect(virtualRepeat.topBuffer.className).toBe('marked-buffer');
+        validateState(virtualRepeat, viewModel);
+        done();
+      });
+    });
+
+    it('uses the template strategy named by virtual-repeat-template-strategy', done => {
+      createComponent(`<div style="height: 500px; overflow-y: scroll">
+                          <ul>
+                            <li style="height: ${itemHeight}px;" virtual-repeat.for="item of items" virtual-repeat-template-strategy="marked">\${item}</li>
+                          </ul>
+                        </div>`, config => {
+        config.addTemplateStrategy('marked', MarkedStrategy);
+      });
+      create.then(() => {
+        expect(virtualRepeat.templateStrategy instanceof MarkedStrategy).toBe(true);
+        expect(virtualRepeat.topBuffer.className).toBe('marked-buffer');
+        validateState(virtualRepeat, viewModel);
+        done();
+      });
+    });
+  });
+
+  describe('grouping', () => {
+    let component;
+    let virtualRepeat;
+    let viewModel;
+    let create;
+
+    function createComponent(view, vm) {
+      component = StageComponent
+        .withResources('src/virtual-repeat')
+        .inView(view)
+        .boundTo(vm);
+
+      create = component.create().then(() => {
+        virtualRepeat = component.sut;
+        viewModel = component.viewModel;
+      });
+    }
+
+    function createNames() {
+      let names = [];
+      for (let letter of 'abcdefghijklmnopqrstuvwxyz') {
+        for (let i = 0; i < 10; ++i) {
+          names.push(letter + i);
+        }
+      }
+      return names;
+    }
+
+    function scrollTo(position, callback) {
+      let container = document.getElementById('groupContainer');
+      container.scrollTop = position;
+      container.dispatchEvent(new Event('scroll'));
+      window.setTimeout(() => {
+        window.requestAnimationFrame(callback);
+      });
+    }
+
+    afterEach(() => {
+      component.cleanUp();
+    });
+
+    it('renders a header before the items of each group', done => {
+      createComponent(`<div id="groupContainer" style="height: 500px; overflow-y: scroll">
+                          <div style="height: ${itemHeight}px;" virtual-repeat.for="name of names" group-by.bind="initial">\${$isGroupHeader ? $group.key : name}</div>
+                        </div>`, { names: createNames(), initial: name => name[0] });
+      create.then(() => {
+        expect(virtualRepeat.strategy.count(virtualRepeat)).toBe(260 + 26);
+        expect(virtualRepeat.view(0).overrideContext.$isGroupHeader).toBe(true);
+        expect(virtualRepeat.view(0).firstChild.textContent.trim()).toBe('a');
+        expect(virtualRepeat.view(1).overrideContext.$isGroupHeader).toBe(false);
+        expect(virtualRepeat.view(1).bindingContext.name).toBe('a0');
+        expect(virtualRepeat.view(11).firstChild.textContent.trim()).toBe('b');
+        expect(virtualRepeat.view(11).overrideContext.$group.items.length).toBe(10);
+        let bottomBufferHeight = virtualRepeat.bottomBuffer.getBoundingClientRect().height;
+        expect(bottomBufferHeight).toBe((286 - virtualRepeat.viewCount()) * itemHeight);
+        done();
+      });
+    });
+
+    it('keeps the header of the current group stuck to the top', done => {
+      createComponent(`<div id="groupContainer" style="height: 500px; overflow-y: scroll">
+                          <div style="height: ${itemHeight}px;" virtual-repeat.for="name of names" group-by="group">\${$isGroupHeader ? $group.key : name.value}</div>
+                        </div>`, { names: createNames().map(value => ({ value, group: value[0] })) });
+      create.then(() => {
+        scrollTo(25 * itemHeight, () => {
+          let header = virtualRepeat._stickyHeader;
+          expect(header.element.textContent.trim()).toBe('c');
+          expect(header.element.style.transform).toBe('translateY(0px)');
+          scrollTo(32.5 * itemHeight, () => {
+            expect(header.element.textContent.trim()).toBe('c');
+            expect(header.element.style.transform).toBe(`translateY(${-itemHeight / 2}px)`);
+            scrollTo(33 * itemHeight, () => {
+              expect(header.element.textContent.trim()).toBe('d');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('keeps the group of a key and the view of its header when the items mutate', done => {
+      createComponent(`<div id="groupContainer" style="height: 500px; overflow-y: scroll">
+                          <div style="height: ${itemHeight}px;" virtual-repeat.for="name of names" group-by.bind="initial" key.bind="getKey">\${$isGroupHeader ? $group.key : name}</div>
+                        </div>`, { names: createNames(), initial: name => name[0], getKey: name => name });
+      create.then(() => {
+        let group = virtualRepeat.view(0).overrideContext.$group;
+        let nextHeaderView = virtualRepeat.view(11);
+        viewModel.names.unshift('a');
+        nq(() => {
+          expect(virtualRepeat.view(0).overrideContext.$group).toBe(group);
+          expect(group.items.length).toBe(11);
+          expect(virtualRepeat.view(1).bindingContext.name).toBe('a');
+          expect(virtualRepeat.view(12)).toBe(nextHeaderView);
+          expect(nextHeaderView.overrideContext.$isGroupHeader).toBe(true);
+          expect(nextHeaderView.firstChild.textContent.trim()).toBe('b');
+        });
+        nq(() => done());
+      });
+    });
+
+    it('renders pre-grouped items and groups them again when they mutate', done => {
+      let days = [
+        { date: 'monday', transactions: ['coffee', 'lunch'] },
+        { date: 'tuesday', transactions: ['rent'] }
+      ];
+      createComponent(`<div id="groupContainer" style="height: 500px; overflow-y: scroll">
+                          <div style="height: ${itemHeight}px;" virtual-repeat.for="transaction of days" group-items="transactions">\${$isGroupHeader ? $group.date : transaction}</div>
+                        </div>`, { days: days });
+      create.then(() => {
+        expect(virtualRepeat.viewCount()).toBe(5);
+        expect(virtualRepeat.view(0).overrideContext.$group).toBe(days[0]);
+        expect(virtualRepeat.view(2).bindingContext.transaction).toBe('lunch');
+        expect(virtualRepeat.view(3).firstChild.textContent.trim()).toBe('tuesday');
+        viewModel.days.push({ date: 'wednesday', transactions: ['books', 'train'] });
+        nq(() => {
+          expect(virtualRepeat.viewCount()).toBe(8);
+          expect(virtualRepeat.view(7).bindingContext.transaction).toBe('train');
+        });
+        nq(() => done());
+      });
+    });
+
+    it('scrolls an item below the sticky header', done => {
+      createComponent(`<div id="groupContainer" style="height: 500px; overflow-y: scroll">
+                          <div style="height: ${itemHeight}px;" virtual-repeat.for="name of names" group-by.bind="initial">\${$isGroupHeader ? $group.key : name}</div>
+                        </div>`, { names: createNames(), initial: name => name[0] });
+      create.then(() => {
+        scrollTo(itemHeight, () => {
+          virtualRepeat.scrollToItem('c5', { align: 'start' });
+          // c5 is the 6th item after the header of c at 22
+          expect(document.getElementById('groupContainer').scrollTop).toBe(27 * itemHeight);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('trees', () => {
+    let component;
+    let virtualRepeat;
+    let viewModel;
+    let create;
+
+    function createComponent(view, vm) {
+      component = StageComponent
+        .withResources('src/virtual-repeat')
+        .inView(view)
+        .boundTo(vm);
+
+      create = component.create().then(() => {
+        virtualRepeat = component.sut;
+        viewModel = component.viewModel;
+      });
+    }
+
+    function createTree() {
+      let roots = [];
+      for (let i = 0; i < 100; ++i) {
+        roots.push({ name: 'folder' + i, files: [{ name: 'file' + i + 'a' }, { name: 'file' + i + 'b', files: [{ name: 'file' + i + 'c' }] }] });
+      }
+      return roots;
+    }
+
+    let view = `<div id="treeContainer" style="height: 500px; overflow-y: scroll">
+                  <div style="height: ${itemHeight}px;" virtual-repeat.for="node of roots" tree-children="files">\${node.name}</div>
+                </div>`;
+
+    afterEach(() => {
+      component.cleanUp();
+    });
+
+    it('renders the children of expanded nodes with their depth', done => {
+      let roots = createTree();
+      roots[0].expanded = true;
+      createComponent(view, { roots: roots });
+      create.then(() => {
+        expect(virtualRepeat.strategy.count(virtualRepeat)).toBe(102);
+        let overrideContext = virtualRepeat.view(0).overrideContext;
+        expect(overrideContext.$depth).toBe(0);
+        expect(overrideContext.$hasChildren).toBe(true);
+        expect(overrideContext.$expanded).toBe(true);
+        expect(virtualRepeat.view(1).bindingContext.node.name).toBe('file0a');
+        expect(virtualRepeat.view(1).overrideContext.$depth).toBe(1);
+        expect(virtualRepeat.view(1).overrideContext.$hasChildren).toBe(false);
+        expect(virtualRepeat.view(2).overrideContext.$expanded).toBe(false);
+        expect(virtualRepeat.view(3).bindingContext.node.name).toBe('folder1');
+        let bottomBufferHeight = virtualRepeat.bottomBuffer.getBoundingClientRect().height;
+        expect(bottomBufferHeight).toBe((102 - virtualRepeat.viewCount()) * itemHeight);
+        done();
+      });
+    });
+
+    it('splices the children in and out without rebinding the other views', done => {
+      createComponent(view, { roots: createTree() });
+      create.then(() => {
+        let firstView = virtualRepeat.view(0);
+        let secondView = virtualRepeat.view(1);
+        virtualRepeat.expand(viewModel.roots[0]);
+        expect(virtualRepeat.strategy.count(virtualRepeat)).toBe(102);
+        expect(virtualRepeat.view(0)).toBe(firstView);
+        expect(firstView.overrideContext.$expanded).toBe(true);
+        expect(virtualRepeat.view(1).bindingContext.node.name).toBe('file0a');
+        expect(virtualRepeat.view(3)).toBe(secondView);
+        expect(secondView.bindingContext.node.name).toBe('folder1');
+        expect(secondView.overrideContext.$index).toBe(3);
+        virtualRepeat.expand(viewModel.roots[0].files[1]);
+        expect(virtualRepeat.view(3).bindingContext.node.name).toBe('file0c');
+        expect(virtualRepeat.view(3).overrideContext.$depth).toBe(2);
+        virtualRepeat.collapse(viewModel.roots[0]);
+        expect(virtualRepeat.strategy.count(virtualRepeat)).toBe(100);
+        expect(viewModel.roots[0].expanded).toBe(false);
+        expect(viewModel.roots[0].files[1].expanded).toBe(true);
+        expect(virtualRepeat.view(1).bindingContext.node.name).toBe('folder1');
+        nq(() => {
+          let bottomBufferHeight = virtualRepeat.bottomBuffer.getBoundingClientRect().height;
+          expect(bottomBufferHeight).toBe((100 - virtualRepeat.viewCount()) * itemHeight);
+          done();
+        });
+      });
+    });
+
+    it('toggles the node of a view with $toggle', done => {
+      createComponent(`<div id="treeContainer" style="height: 500px; overflow-y: scroll">
+                          <div style="height: ${itemHeight}px;" virtual-repeat.for="node of roots" tree-children.bind="getFiles">
+                            <span click.trigger="$toggle()">\${$expanded ? '-' : '+'}</span>\${node.name}
+                          </div>
+                        </div>`, { roots: createTree(), getFiles: node => node.files });
+      create.then(() => {
+        let toggle = virtualRepeat.view(1).firstChild.querySelector('span');
+        toggle.click();
+        expect(virtualRepeat.view(1).overrideContext.$expanded).toBe(true);
+        expect(virtualRepeat.view(2).bindingContext.node.name).toBe('file1a');
+        nq(() => {
+          expect(toggle.textContent).toBe('-');
+          toggle.click();
+          expect(virtualRepeat.view(2).bindingContext.node.name).toBe('folder2');
+        });
+        nq(() => {
+          expect(toggle.textContent).toBe('+');
+          done();
+        });
+      });
+    });
+
+    it('keeps the expanded nodes when the roots mutate', done => {
+      let roots = createTree();
+      roots[1].expanded = true;
+      createComponent(view, { roots: roots });
+      create.then(() => {
+        viewModel.roots.unshift({ name: 'new' });
+        nq(() => {
+          expect(virtualRepeat.strategy.count(virtualRepeat)).toBe(103);
+          expect(virtualRepeat.view(0).overrideContext.$hasChildren).toBe(false);
+          expect(virtualRepeat.view(3).bindingContext.node.name).toBe('file1a');
+          done();
+        });
+      });
+    });
   });
 
   describe('value converters', () => {
@@ -662,18 +1230,1796 @@ describe('VirtualRepeat Integration', () => {
             }, 'scrollContainerNested')
         });
     });
-  })
-
-  describe('initial setup', () => {
-    let component;
-    let virtualRepeat;
-    let viewModel;
-    let create;
-    let items;
-
-    beforeEach(() => {
-      items = [];
-      component = StageComponent
+    it('passes the direction and metrics of the scroll', done => {
+        nestedCreate.then(() => {
+            validateScroll(nestedVirtualRepeat, nestedViewModel, () => {
+              var scrollContext = nestedVm.getNextPage.calls.argsFor(0)[0];
+              expect(scrollContext.direction).toBe('down');
+              expect(scrollContext.lastIndex).toBe(999);
+              expect(scrollContext.count).toBe(1000);
+              expect(scrollContext.viewportCount).toBe(nestedVirtualRepeat.elementsInView);
+              expect(scrollContext.velocity).toEqual(jasmine.any(Number));
+              done();
+            }, 'scrollContainerNested')
+        });
+    });
+    it('passes the scroll context to a function by name', done => {
+        create.then(() => {
+            validateScroll(virtualRepeat, viewModel, () => {
+              var args = vm.getNextPage.calls.argsFor(0);
+              expect(args[4].topIndex).toBe(args[0]);
+              expect(args[4].direction).toBe('down');
+              expect(args[4].count).toBe(1000);
+              done();
+            })
+        });
+    });
+    it('calls infinite-scroll-next placed on an element wrapping the repeater', done => {
+      let wrappedVm = { items: vm.items, getNextPage: jasmine.createSpy('getNextPage') };
+      let wrappedComponent = StageComponent
+        .withResources(['src/virtual-repeat', 'src/infinite-scroll-next'])
+        .inView(`<div id="scrollContainerWrapped" style="height: 500px; overflow-y: scroll" infinite-scroll-next.call="getNextPage($scrollContext)">
+                      <div style="height: ${itemHeight}px;" virtual-repeat.for="item of items">\${item}</div>
+                  </div>`)
+        .boundTo(wrappedVm);
+      wrappedComponent.create().then(() => {
+        let wrappedRepeat = wrappedComponent.sut;
+        expect(wrappedRepeat._getLoader()).not.toBe(null);
+        validateScroll(wrappedRepeat, wrappedComponent.viewModel, () => {
+          expect(wrappedVm.getNextPage).toHaveBeenCalled();
+          expect(wrappedVm.getNextPage.calls.argsFor(0)[0].isAtBottom).toBe(true);
+          wrappedComponent.cleanUp();
+          done();
+        }, 'scrollContainerWrapped');
+      });
+    });
+    it('calls infinite-scroll-next placed within the repeated template', done => {
+      let innerVm = { items: vm.items, getNextPage: jasmine.createSpy('getNextPage') };
+      let innerComponent = StageComponent
+        .withResources(['src/virtual-repeat', 'src/infinite-scroll-next'])
+        .inView(`<div id="scrollContainerInner" style="height: 500px; overflow-y: scroll">
+                      <div style="height: ${itemHeight}px;" virtual-repeat.for="item of items"><span infinite-scroll-next="getNextPage">\${item}</span></div>
+                  </div>`)
+        .boundTo(innerVm);
+      innerComponent.create().then(() => {
+        let innerRepeat = innerComponent.sut;
+        validateScroll(innerRepeat, innerComponent.viewModel, () => {
+          expect(innerVm.getNextPage).toHaveBeenCalled();
+          expect(innerRepeat._registeredLoader).toBe(null);
+          innerComponent.cleanUp();
+          done();
+        }, 'scrollContainerInner');
+      });
+    });
+  })
+
+  describe('infinite scroll limits', () => {
+    let component;
+    let virtualRepeat;
+    let viewModel;
+    let create;
+    let vm;
+
+    function createComponent(options) {
+      let items = [];
+      for(let i = 0; i < 1000; ++i) {
+        items.push('item' + i);
+      }
+      vm = {
+        items: items,
+        hasMore: true,
+        hasMoreBefore: true,
+        getNextPage: jasmine.createSpy('getNextPage')
+      };
+      component = StageComponent
+        .withResources(['src/virtual-repeat', 'src/infinite-scroll-next'])
+        .inView(`<div id="limitsContainer" style="height: 500px; overflow-y: scroll">
+                      <div style="height: ${itemHeight}px;" virtual-repeat.for="item of items" infinite-scroll-next="getNextPage" ${options}>\${item}</div>
+                  </div>`)
+        .boundTo(vm);
+
+      create = component.create().then(() => {
+        virtualRepeat = component.sut;
+        viewModel = component.viewModel;
+      });
+    }
+
+    afterEach(() => {
+      component.cleanUp();
+    });
+
+    it('calls infinite-scroll-next within a threshold in pixels', done => {
+      createComponent('infinite-scroll-threshold="50000px"');
+      create.then(() => {
+        let container = document.getElementById('limitsContainer');
+        container.scrollTop = 500 * itemHeight;
+        container.dispatchEvent(new Event('scroll'));
+        window.setTimeout(() => {
+          window.requestAnimationFrame(() => {
+            nq(() => {
+              expect(virtualRepeat._getInfiniteScrollThreshold()).toBe(500);
+              expect(vm.getNextPage).toHaveBeenCalled();
+              expect(vm.getNextPage.calls.mostRecent().args[1]).toBe(true);
+            });
+            nq(() => done());
+          });
+        });
+      });
+    });
+
+    it('does not call infinite-scroll-next at the bottom without more items', done => {
+      createComponent('has-more.bind="hasMore"');
+      create.then(() => {
+        viewModel.hasMore = false;
+        validateScroll(virtualRepeat, viewModel, () => {
+          nq(() => expect(vm.getNextPage).not.toHaveBeenCalled());
+          nq(() => done());
+        }, 'limitsContainer');
+      });
+    });
+
+    it('does not call infinite-scroll-next at the top without more items before', done => {
+      createComponent('has-more-before.bind="hasMoreBefore"');
+      create.then(() => {
+        viewModel.hasMoreBefore = false;
+        validateScrollUp(virtualRepeat, viewModel, () => {
+          nq(() => expect(vm.getNextPage).not.toHaveBeenCalled());
+          nq(() => done());
+        }, 'limitsContainer');
+      });
+    });
+  });
+
+  describe('infinite scroll parts', () => {
+    let component;
+    let virtualRepeat;
+    let viewModel;
+    let create;
+    let vm;
+    let pending;
+
+    function createComponent(length, errorPart = '<template virtual-repeat-error><div class="error-part" click.delegate="$retry()">${$error.message}</div></template>') {
+      let items = [];
+      for(let i = 0; i < length; ++i) {
+        items.push('item' + i);
+      }
+      pending = [];
+      vm = {
+        items: items,
+        getNextPage: jasmine.createSpy('getNextPage').and.callFake(() => new Promise((resolve, reject) => pending.push({ resolve, reject })))
+      };
+      component = StageComponent
+        .withResources(['src/virtual-repeat', 'src/infinite-scroll-next', 'src/virtual-repeat-part'])
+        .inView(`<div id="partsContainer" style="height: 500px; overflow-y: scroll">
+                      <div style="height: ${itemHeight}px;" virtual-repeat.for="item of items" infinite-scroll-next="getNextPage">\${item}</div>
+                      <template virtual-repeat-loading><div class="loading-part">loading</div></template>
+                      <template virtual-repeat-empty><div class="empty-part">nothing</div></template>
+                      ${errorPart}
+                  </div>`)
+        .boundTo(vm);
+
+      create = component.create().then(() => {
+        virtualRepeat = component.sut;
+        viewModel = component.viewModel;
+      });
+    }
+
+    function query(selector) {
+      return document.getElementById('partsContainer').querySelector(selector);
+    }
+
+    afterEach(() => {
+      component.cleanUp();
+    });
+
+    it('shows the loading part until the next items are loaded', done => {
+      createComponent(1000);
+      create.then(() => {
+        expect(query('.loading-part')).toBe(null);
+        validateScroll(virtualRepeat, viewModel, () => {
+          expect(vm.getNextPage).toHaveBeenCalled();
+          expect(query('.loading-part')).not.toBe(null);
+          pending[0].resolve();
+          nq(() => {
+            expect(query('.loading-part')).toBe(null);
+            expect(virtualRepeat._calledGetMore).toBe(false);
+          });
+          nq(() => done());
+        }, 'partsContainer');
+      });
+    });
+
+    it('renders the loading part between the rendered items and the bottom buffer', done => {
+      createComponent(1000);
+      create.then(() => {
+        validateScroll(virtualRepeat, viewModel, () => {
+          let part = query('.loading-part');
+          let expectNextToItems = () => {
+            expect(part.previousElementSibling).toBe(virtualRepeat.view(virtualRepeat.viewCount() - 1).lastChild);
+            expect(part.nextElementSibling).toBe(virtualRepeat.bottomBuffer);
+          };
+          expectNextToItems();
+          let container = document.getElementById('partsContainer');
+          container.scrollTop -= 20 * itemHeight;
+          container.dispatchEvent(new Event('scroll'));
+          window.setTimeout(() => window.requestAnimationFrame(() => {
+            expect(query('.loading-part')).toBe(part);
+            expectNextToItems();
+            done();
+          }));
+        }, 'partsContainer');
+      });
+    });
+
+    it('shows the error part when loading fails and retries', done => {
+      createComponent(1000);
+      create.then(() => {
+        validateScroll(virtualRepeat, viewModel, () => {
+          pending[0].reject(new Error('offline'));
+          nq(() => {
+            expect(query('.loading-part')).toBe(null);
+            expect(query('.error-part').textContent).toBe('offline');
+            expect(virtualRepeat._calledGetMore).toBe(false);
+            query('.error-part').click();
+          });
+          nq(() => {
+            expect(vm.getNextPage.calls.count()).toBe(2);
+            expect(query('.error-part')).toBe(null);
+            expect(query('.loading-part')).not.toBe(null);
+          });
+          nq(() => done());
+        }, 'partsContainer');
+      });
+    });
+
+    it('logs a failure without an error part and keeps loading', done => {
+      createComponent(1000, '');
+      spyOn(VirtualizationConfiguration.prototype, 'logError');
+      create.then(() => {
+        validateScroll(virtualRepeat, viewModel, () => {
+          let error = new Error('offline');
+          pending[0].reject(error);
+          nq(() => {
+            expect(VirtualizationConfiguration.prototype.logError).toHaveBeenCalledWith('infinite-scroll-next failed', error);
+            expect(query('.loading-part')).toBe(null);
+            expect(virtualRepeat._calledGetMore).toBe(false);
+            expect(virtualRepeat._getMoreState).toBe('error');
+          });
+          nq(() => done());
+        }, 'partsContainer');
+      });
+    });
+
+    it('aborts the pending call when the items are replaced', done => {
+      createComponent(1000);
+      create.then(() => {
+        validateScroll(virtualRepeat, viewModel, () => {
+          let signal = vm.getNextPage.calls.mostRecent().args[3];
+          expect(signal.aborted).toBe(false);
+          viewModel.items = ['other0', 'other1'];
+          nq(() => {
+            expect(signal.aborted).toBe(true);
+            expect(virtualRepeat._calledGetMore).toBe(false);
+            expect(query('.loading-part')).toBe(null);
+            pending[0].reject(new Error('aborted'));
+          });
+          nq(() => expect(query('.error-part')).toBe(null));
+          nq(() => done());
+        }, 'partsContainer');
+      });
+    });
+
+    it('shows the empty part while there are no items', done => {
+      createComponent(0);
+      create.then(() => {
+        nq(() => {
+          // the first items of the empty list are loading
+          expect(query('.empty-part')).toBe(null);
+          pending[0].resolve();
+        });
+        nq(() => {
+          expect(query('.empty-part')).not.toBe(null);
+          viewModel.items.push('item0');
+        });
+        nq(() => expect(query('.empty-part')).toBe(null));
+        nq(() => done());
+      });
+    });
+
+    it('loads the first items of an empty list', done => {
+      createComponent(0);
+      create.then(() => {
+        expect(virtualRepeat.viewCount()).toBe(0);
+        nq(() => {
+          expect(vm.getNextPage.calls.count()).toBe(1);
+          expect(query('.loading-part')).not.toBe(null);
+          viewModel.items.push('item0', 'item1');
+          pending[0].resolve();
+        });
+        nq(() => {
+          expect(virtualRepeat.viewCount()).toBe(2);
+          expect(query('.loading-part')).toBe(null);
+          expect(vm.getNextPage.calls.count()).toBe(1);
+        });
+        nq(() => done());
+      });
+    });
+  });
+
+  describe('iterating set', () => {
+    let component;
+    let virtualRepeat;
+    let viewModel;
+    let create;
+
+    beforeEach(() => {
+      let items = new Set();
+      for(let i = 0; i < 1000; ++i) {
+        items.add('item' + i);
+      }
+      component = StageComponent
+        .withResources('src/virtual-repeat')
+        .inView(`<div style="height: 500px; overflow-y: scroll">
+                      <div style="height: ${itemHeight}px;" virtual-repeat.for="item of items">\${$index} \${item}</div>
+                  </div>`)
+        .boundTo({ items: items });
+
+      create = component.create().then(() => {
+        virtualRepeat = component.sut;
+        viewModel = component.viewModel;
+      });
+    });
+
+    afterEach(() => {
+      component.cleanUp();
+    });
+
+    function validateSet() {
+      let values = Array.from(viewModel.items);
+      let views = virtualRepeat.viewSlot.children;
+      let topBufferHeight = virtualRepeat.topBuffer.getBoundingClientRect().height;
+      let bottomBufferHeight = virtualRepeat.bottomBuffer.getBoundingClientRect().height;
+      expect(topBufferHeight + views.length * itemHeight + bottomBufferHeight).toBe(values.length * itemHeight);
+      for (let i = 0; i < views.length; i++) {
+        expect(views[i].overrideContext.$index).toBe(i);
+        expect(views[i].bindingContext.item).toBe(values[i]);
+      }
+    }
+
+    it('renders the values', done => {
+      create.then(() => {
+        expect(virtualRepeat.viewCount()).toBeLessThan(viewModel.items.size);
+        validateSet();
+        done();
+      });
+    });
+
+    it('handles add', done => {
+      create.then(() => {
+        viewModel.items.add('added');
+        nq(() => validateSet());
+        nq(() => done());
+      });
+    });
+
+    it('handles delete', done => {
+      create.then(() => {
+        viewModel.items.delete('item0');
+        viewModel.items.delete('item3');
+        nq(() => validateSet());
+        nq(() => done());
+      });
+    });
+
+    it('handles clear', done => {
+      create.then(() => {
+        viewModel.items.clear();
+        nq(() => {
+          expect(virtualRepeat.viewCount()).toBe(0);
+          validateSet();
+        });
+        nq(() => done());
+      });
+    });
+  });
+
+  describe('iterating map', () => {
+    let component;
+    let virtualRepeat;
+    let viewModel;
+    let create;
+
+    beforeEach(() => {
+      let items = new Map();
+      for(let i = 0; i < 1000; ++i) {
+        items.set('key' + i, 'value' + i);
+      }
+      component = StageComponent
+        .withResources('src/virtual-repeat')
+        .inView(`<div style="height: 500px; overflow-y: scroll">
+                      <div style="height: ${itemHeight}px;" virtual-repeat.for="[key, value] of items">\${key} \${value}</div>
+                  </div>`)
+        .boundTo({ items: items });
+
+      create = component.create().then(() => {
+        virtualRepeat = component.sut;
+        viewModel = component.viewModel;
+      });
+    });
+
+    afterEach(() => {
+      component.cleanUp();
+    });
+
+    function validateMap() {
+      let entries = Array.from(viewModel.items);
+      let views = virtualRepeat.viewSlot.children;
+      let topBufferHeight = virtualRepeat.topBuffer.getBoundingClientRect().height;
+      let bottomBufferHeight = virtualRepeat.bottomBuffer.getBoundingClientRect().height;
+      expect(topBufferHeight + views.length * itemHeight + bottomBufferHeight).toBe(entries.length * itemHeight);
+      for (let i = 0; i < views.length; i++) {
+        expect(views[i].overrideContext.$index).toBe(i);
+        expect(views[i].bindingContext.key).toBe(entries[i][0]);
+        expect(views[i].bindingContext.value).toBe(entries[i][1]);
+      }
+    }
+
+    it('destructures the entries', done => {
+      create.then(() => {
+        expect(virtualRepeat.view(0).lastChild.textContent).toBe('key0 value0');
+        validateMap();
+        done();
+      });
+    });
+
+    it('handles set', done => {
+      create.then(() => {
+        viewModel.items.set('key1', 'updated');
+        viewModel.items.set('added', 'value');
+        nq(() => validateMap());
+        nq(() => done());
+      });
+    });
+
+    it('handles delete', done => {
+      create.then(() => {
+        viewModel.items.delete('key0');
+        nq(() => validateMap());
+        nq(() => done());
+      });
+    });
+  });
+
+  describe('keyed items', () => {
+    let component;
+    let virtualRepeat;
+    let viewModel;
+    let create;
+
+    function createItems() {
+      let items = [];
+      for(let i = 0; i < 1000; ++i) {
+        items.push({ id: i });
+      }
+      return items;
+    }
+
+    function createComponent(key) {
+      component = StageComponent
+        .withResources('src/virtual-repeat')
+        .inView(`<div style="height: 500px; overflow-y: scroll">
+                      <div style="height: ${itemHeight}px;" virtual-repeat.for="item of items" ${key}>\${$index} \${item.id}</div>
+                  </div>`)
+        .boundTo({ items: createItems(), getKey: item => 'id' + item.id });
+
+      create = component.create().then(() => {
+        virtualRepeat = component.sut;
+        viewModel = component.viewModel;
+      });
+    }
+
+    afterEach(() => {
+      component.cleanUp();
+    });
+
+    function validateDomOrder() {
+      let views = virtualRepeat.viewSlot.children;
+      for (let i = 0; i < views.length; i++) {
+        expect(views[i].lastChild.textContent).toBe(`${i} ${viewModel.items[i].id}`);
+        if (i > 0) {
+          expect(views[i - 1].lastChild.nextElementSibling).toBe(views[i].lastChild);
+        }
+      }
+    }
+
+    it('keeps the views of the items when the array is replaced', done => {
+      createComponent('key="id"');
+      create.then(() => {
+        let views = virtualRepeat.viewSlot.children.slice(0);
+        viewModel.items = createItems();
+        nq(() => {
+          validateState(virtualRepeat, viewModel);
+          for (let i = 0; i < views.length; i++) {
+            expect(virtualRepeat.view(i)).toBe(views[i]);
+            expect(views[i].bindingContext.item).toBe(viewModel.items[i]);
+          }
+        });
+        nq(() => done());
+      });
+    });
+
+    it('moves the views of the items when the array is sorted', done => {
+      createComponent('key="id"');
+      create.then(() => {
+        let views = virtualRepeat.viewSlot.children.slice(0);
+        viewModel.items.splice(0, 3, viewModel.items[2], viewModel.items[0], viewModel.items[1]);
+        nq(() => {
+          validateState(virtualRepeat, viewModel);
+          validateDomOrder();
+          expect(virtualRepeat.view(0)).toBe(views[2]);
+          expect(virtualRepeat.view(1)).toBe(views[0]);
+          expect(virtualRepeat.view(2)).toBe(views[1]);
+        });
+        nq(() => done());
+      });
+    });
+
+    it('gets the keys from a function', done => {
+      createComponent('key.bind="getKey"');
+      create.then(() => {
+        expect(virtualRepeat.itemKey).toBe(viewModel.getKey);
+        let firstView = virtualRepeat.view(0);
+        viewModel.items = createItems().reverse().slice(995);
+        nq(() => {
+          validateState(virtualRepeat, viewModel);
+          validateDomOrder();
+          expect(virtualRepeat.view(4)).toBe(firstView);
+        });
+        nq(() => done());
+      });
+    });
+  });
+
+  describe('data provider', () => {
+    let component;
+    let virtualRepeat;
+    let viewModel;
+    let create;
+    let items;
+
+    beforeEach(() => {
+      items = [];
+      for(let i = 0; i < 10000; ++i) {
+        items.push('item' + i);
+      }
+      component = StageComponent
+        .withResources('src/virtual-repeat')
+        .inView(`<div id="scrollContainerProvider" style="height: 500px; overflow-y: scroll">
+                      <div style="height: ${itemHeight}px;" virtual-repeat.for="item of provider">\${item}</div>
+                  </div>`)
+        .boundTo({ provider: new ArrayDataProvider(items, 10, 20) });
+
+      create = component.create().then(() => {
+        virtualRepeat = component.sut;
+        viewModel = component.viewModel;
+      });
+    });
+
+    afterEach(() => {
+      component.cleanUp();
+    });
+
+    function validateProvider() {
+      let views = virtualRepeat.viewSlot.children;
+      let topBufferHeight = virtualRepeat.topBuffer.getBoundingClientRect().height;
+      let bottomBufferHeight = virtualRepeat.bottomBuffer.getBoundingClientRect().height;
+      expect(topBufferHeight + views.length * itemHeight + bottomBufferHeight).toBe(items.length * itemHeight);
+      for (let i = 0; i < views.length; i++) {
+        expect(views[i].bindingContext.item).toBe(items[views[i].overrideContext.$index]);
+      }
+    }
+
+    it('renders placeholders until the page is loaded', done => {
+      create.then(() => {
+        expect(virtualRepeat.view(0).bindingContext.item).toBe(placeholder);
+        setTimeout(() => {
+          validateProvider();
+          done();
+        }, 50);
+      });
+    });
+
+    it('only requests the pages of the rendered rows', done => {
+      spyOn(ArrayDataProvider.prototype, 'getRange').and.callThrough();
+      create.then(() => {
+        let elem = document.getElementById('scrollContainerProvider');
+        elem.scrollTop = 5000 * itemHeight;
+        elem.dispatchEvent(new Event('scroll'));
+        setTimeout(() => {
+          validateProvider();
+          let starts = ArrayDataProvider.prototype.getRange.calls.allArgs().map(args => args[0]);
+          expect(starts.indexOf(5000)).not.toBe(-1);
+          expect(starts.every(start => start < 100 || start >= 4900)).toBe(true);
+          done();
+        }, 50);
+      });
+    });
+
+    it('requests a page again when getRange throws', done => {
+      let getRange = ArrayDataProvider.prototype.getRange;
+      spyOn(ArrayDataProvider.prototype, 'getRange').and.callFake(function(start, count) {
+        if (ArrayDataProvider.prototype.getRange.calls.count() === 1) {
+          throw new Error('offline');
+        }
+        return getRange.call(this, start, count);
+      });
+      create.then(() => {
+        setTimeout(() => {
+          expect(virtualRepeat.view(0).bindingContext.item).toBe(placeholder);
+          setTimeout(() => {
+            validateProvider();
+            done();
+          }, virtualRepeat.strategy.retryDelay);
+        }, 50);
+      });
+    });
+
+    it('requests a page again when its promise is rejected', done => {
+      let getRange = ArrayDataProvider.prototype.getRange;
+      spyOn(ArrayDataProvider.prototype, 'getRange').and.callFake(function(start, count) {
+        if (ArrayDataProvider.prototype.getRange.calls.count() === 1) {
+          return Promise.reject(new Error('offline'));
+        }
+        return getRange.call(this, start, count);
+      });
+      create.then(() => {
+        setTimeout(() => {
+          expect(virtualRepeat.view(0).bindingContext.item).toBe(placeholder);
+          expect(virtualRepeat.__pages.get(0).failures).toBe(1);
+          setTimeout(() => {
+            validateProvider();
+            done();
+          }, virtualRepeat.strategy.retryDelay);
+        }, 50);
+      });
+    });
+
+    it('shows the error in the rows of a page that keeps failing and requests it again on $retry', done => {
+      let getRange = spyOn(ArrayDataProvider.prototype, 'getRange').and.returnValue(Promise.reject(new Error('offline')));
+      spyOn(VirtualizationConfiguration.prototype, 'logError');
+      create.then(() => {
+        let strategy = virtualRepeat.strategy;
+        let retryDelay = strategy.retryDelay;
+        strategy.retryDelay = 1;
+        setTimeout(() => {
+          strategy.retryDelay = retryDelay;
+          let starts = getRange.calls.allArgs().map(args => args[0]).filter(start => start === 0);
+          expect(starts.length).toBe(strategy.retryCount + 1);
+          expect(VirtualizationConfiguration.prototype.logError).toHaveBeenCalled();
+          let item = virtualRepeat.view(0).bindingContext.item;
+          expect(item.$placeholder).toBe(true);
+          expect(item.$error.message).toBe('offline');
+          getRange.and.callThrough();
+          item.$retry();
+          setTimeout(() => {
+            validateProvider();
+            done();
+          }, 50);
+        }, 100);
+      });
+    });
+
+    it('rejects groups of a data provider', done => {
+      let groupedComponent = StageComponent
+        .withResources('src/virtual-repeat')
+        .inView(`<div id="groupedProvider">
+                      <div style="height: ${itemHeight}px;" virtual-repeat.for="item of provider" group-by="key">\${item}</div>
+                  </div>`)
+        .boundTo({ provider: new ArrayDataProvider(items, 10, 20) });
+      create.then(() => groupedComponent.create()).then(() => {
+        fail('group-by was applied to a data provider');
+        done();
+      }, error => {
+        expect(error.message).toMatch(/data provider in groups or as a tree/);
+        let host = document.getElementById('groupedProvider').parentNode;
+        host.parentNode.removeChild(host);
+        done();
+      });
+    });
+
+    it('evicts the pages far away from the rendered rows', done => {
+      create.then(() => {
+        setTimeout(() => {
+          expect(virtualRepeat.__pages.has(0)).toBe(true);
+          let elem = document.getElementById('scrollContainerProvider');
+          elem.scrollTop = 5000 * itemHeight;
+          elem.dispatchEvent(new Event('scroll'));
+          setTimeout(() => {
+            expect(virtualRepeat.__pages.has(0)).toBe(false);
+            expect(virtualRepeat.__pages.has(250)).toBe(true);
+            done();
+          }, 50);
+        }, 50);
+      });
+    });
+  });
+
+  describe('scroll container', () => {
+    let component;
+    let virtualRepeat;
+    let viewModel;
+    let create;
+
+    function createComponent(view) {
+      let items = [];
+      for(let i = 0; i < 1000; ++i) {
+        items.push('item' + i);
+      }
+      component = StageComponent
+        .withResources('src/virtual-repeat')
+        .inView(view)
+        .boundTo({ items: items });
+
+      create = component.create().then(() => {
+        virtualRepeat = component.sut;
+        viewModel = component.viewModel;
+      });
+    }
+
+    afterEach(() => {
+      component.cleanUp();
+    });
+
+    it('finds a container styled by a stylesheet', done => {
+      createComponent(`<div>
+                          <style>.scroller { height: 500px; overflow-y: auto; }</style>
+                          <div id="stylesheetContainer" class="scroller">
+                            <div style="height: ${itemHeight}px;" virtual-repeat.for="item of items">\${item}</div>
+                          </div>
+                        </div>`);
+      create.then(() => {
+        expect(virtualRepeat.scrollContainer).toBe(document.getElementById('stylesheetContainer'));
+        expect(virtualRepeat._fixedHeightContainer).toBe(true);
+        validateScroll(virtualRepeat, viewModel, done, 'stylesheetContainer');
+      });
+    });
+
+    it('finds a scrolling ancestor above the parent of the items', done => {
+      createComponent(`<div id="ancestorContainer" style="height: 500px; overflow-y: scroll">
+                          <h1 style="height: 50px; margin: 0">header</h1>
+                          <div>
+                            <div style="height: ${itemHeight}px;" virtual-repeat.for="item of items">\${item}</div>
+                          </div>
+                        </div>`);
+      create.then(() => {
+        let container = document.getElementById('ancestorContainer');
+        expect(virtualRepeat.scrollContainer).toBe(container);
+        expect(virtualRepeat._scrollOffset).toBe(50);
+        container.scrollTop = 50 + 100 * itemHeight;
+        container.dispatchEvent(new Event('scroll'));
+        window.setTimeout(() => {
+          window.requestAnimationFrame(() => {
+            expect(virtualRepeat.view(0).overrideContext.$index).toBeLessThanOrEqual(100);
+            expect(virtualRepeat._getIndexOfLastView()).toBeGreaterThan(100);
+            validateScrolledState(virtualRepeat, viewModel);
+            done();
+          });
+        });
+      });
+    });
+
+    it('skips a wrapper with overflow: auto that grows with the items', done => {
+      createComponent(`<div id="constrainedContainer" style="height: 500px; overflow-y: scroll">
+                          <div id="autoHeightWrapper" style="overflow: auto">
+                            <div style="height: ${itemHeight}px;" virtual-repeat.for="item of items">\${item}</div>
+                          </div>
+                        </div>`);
+      create.then(() => {
+        expect(virtualRepeat.scrollContainer).toBe(document.getElementById('constrainedContainer'));
+        validateScroll(virtualRepeat, viewModel, done, 'constrainedContainer');
+      });
+    });
+
+    it('finds a container sized by a flex layout', done => {
+      createComponent(`<div style="display: flex; flex-direction: column; height: 500px">
+                          <div style="flex: 1; min-height: 0; overflow-y: auto" id="flexContainer">
+                            <div style="height: ${itemHeight}px;" virtual-repeat.for="item of items">\${item}</div>
+                          </div>
+                        </div>`);
+      create.then(() => {
+        expect(virtualRepeat.scrollContainer).toBe(document.getElementById('flexContainer'));
+        validateScroll(virtualRepeat, viewModel, done, 'flexContainer');
+      });
+    });
+
+    it('scrolls with the document past a wrapper with only overflow-x: auto', done => {
+      createComponent(`<div id="horizontalWrapper" style="overflow-x: auto">
+                          <div style="height: ${itemHeight}px;" virtual-repeat.for="item of items">\${item}</div>
+                        </div>`);
+      create.then(() => {
+        expect(window.getComputedStyle(document.getElementById('horizontalWrapper')).overflowY).toBe('auto');
+        expect(virtualRepeat._fixedHeightContainer).toBe(false);
+        expect(virtualRepeat._getScrollElement()).toBe(null);
+        expect(virtualRepeat._scrollEventTarget).toBe(document);
+        done();
+      });
+    });
+
+    it('scrolls with the document past a wrapper with overflow: auto and no height limit', done => {
+      createComponent(`<div id="autoHeightWrapper" style="overflow: auto">
+                          <div style="height: ${itemHeight}px;" virtual-repeat.for="item of items">\${item}</div>
+                        </div>`);
+      create.then(() => {
+        expect(virtualRepeat._fixedHeightContainer).toBe(false);
+        expect(virtualRepeat._scrollEventTarget).toBe(document);
+        window.scrollTo(0, virtualRepeat.distanceToTop + 300 * itemHeight);
+        window.setTimeout(() => window.requestAnimationFrame(() => {
+          expect(virtualRepeat.view(0).overrideContext.$index).toBeGreaterThan(0);
+          validateScrolledState(virtualRepeat, viewModel);
+          window.scrollTo(0, 0);
+          done();
+        }));
+      });
+    });
+
+    it('follows content inserted above the list', done => {
+      createComponent(`<div id="shiftContainer" style="height: 500px; overflow-y: scroll">
+                          <div id="shiftHeader"></div>
+                          <div>
+                            <div style="height: ${itemHeight}px;" virtual-repeat.for="item of items">\${item}</div>
+                          </div>
+                        </div>`);
+      create.then(() => {
+        expect(virtualRepeat._scrollOffset).toBe(0);
+        let banner = document.createElement('div');
+        banner.style.height = '80px';
+        document.getElementById('shiftHeader').appendChild(banner);
+        // the resize of the header is reported once the frame is laid out
+        window.setTimeout(() => window.requestAnimationFrame(() => window.requestAnimationFrame(() => {
+          expect(virtualRepeat._scrollOffset).toBe(80);
+          let container = document.getElementById('shiftContainer');
+          container.scrollTop = 80 + 100 * itemHeight;
+          container.dispatchEvent(new Event('scroll'));
+          window.setTimeout(() => window.requestAnimationFrame(() => {
+            expect(virtualRepeat.firstVisibleIndex).toBe(100);
+            validateScrolledState(virtualRepeat, viewModel);
+            done();
+          }));
+        })));
+      });
+    });
+
+    it('uses the container set with virtual-repeat-scroll-container', done => {
+      createComponent(`<div id="outerContainer" style="height: 500px; overflow-y: scroll">
+                          <div style="overflow: auto">
+                            <div style="height: ${itemHeight}px;" virtual-repeat.for="item of items" virtual-repeat-scroll-container="#outerContainer">\${item}</div>
+                          </div>
+                        </div>`);
+      create.then(() => {
+        expect(virtualRepeat.scrollContainer).toBe(document.getElementById('outerContainer'));
+        validateState(virtualRepeat, viewModel);
+        done();
+      });
+    });
+
+    it('scrolls with the document when virtual-repeat-scroll-container is document', done => {
+      createComponent(`<div style="overflow: auto">
+                          <div style="height: ${itemHeight}px;" virtual-repeat.for="item of items" virtual-repeat-scroll-container="document">\${item}</div>
+                        </div>`);
+      create.then(() => {
+        expect(virtualRepeat._fixedHeightContainer).toBe(false);
+        expect(virtualRepeat._getScrollElement()).toBe(null);
+        done();
+      });
+    });
+  });
+
+  describe('overscan', () => {
+    let component;
+    let virtualRepeat;
+    let viewModel;
+    let create;
+
+    function createComponent(overscan, configuredOverscan) {
+      let items = [];
+      for(let i = 0; i < 1000; ++i) {
+        items.push('item' + i);
+      }
+      component = StageComponent
+        .withResources('src/virtual-repeat')
+        .inView(`<div id="overscanContainer" style="height: 500px; overflow-y: scroll">
+                      <div style="height: ${itemHeight}px;" virtual-repeat.for="item of items" ${overscan}>\${item}</div>
+                  </div>`)
+        .boundTo({ items: items, overscan: 2 });
+      component.bootstrap(aurelia => {
+        aurelia.use.standardConfiguration();
+        aurelia.container.get(VirtualizationConfiguration).overscan = configuredOverscan;
+      });
+
+      create = component.create().then(() => {
+        virtualRepeat = component.sut;
+        viewModel = component.viewModel;
+      });
+    }
+
+    afterEach(() => {
+      component.cleanUp();
+    });
+
+    it('renders the overscan rows around the viewport', done => {
+      createComponent('overscan.bind="overscan"', null);
+      create.then(() => {
+        expect(virtualRepeat.viewCount()).toBe(virtualRepeat.elementsInView + 4);
+        validateState(virtualRepeat, viewModel);
+        done();
+      });
+    });
+
+    it('renders the overscan rows above the viewport as well as below', done => {
+      createComponent('overscan.bind="overscan"', null);
+      create.then(() => {
+        let container = document.getElementById('overscanContainer');
+        let scrollTo = (index, next) => {
+          container.scrollTop = index * itemHeight;
+          container.dispatchEvent(new Event('scroll'));
+          window.setTimeout(() => window.requestAnimationFrame(next));
+        };
+        let validateOverscan = () => {
+          expect(virtualRepeat._getIndexOfFirstView()).toBe(virtualRepeat.firstVisibleIndex - 2);
+          expect(virtualRepeat._getIndexOfLastView()).toBeGreaterThanOrEqual(virtualRepeat.lastVisibleIndex + 2);
+          validateScrolledState(virtualRepeat, viewModel);
+        };
+        scrollTo(100, () => {
+          expect(virtualRepeat.firstVisibleIndex).toBe(100);
+          validateOverscan();
+          // scrolling back up keeps rows below the viewport too
+          scrollTo(50, () => {
+            expect(virtualRepeat.firstVisibleIndex).toBe(50);
+            validateOverscan();
+            done();
+          });
+        });
+      });
+    });
+
+    it('renders less views when the overscan shrinks', done => {
+      createComponent('overscan.bind="overscan"', null);
+      create.then(() => {
+        viewModel.overscan = 0;
+        nq(() => {
+          expect(virtualRepeat.viewCount()).toBe(virtualRepeat.elementsInView);
+          validateState(virtualRepeat, viewModel);
+        });
+        nq(() => done());
+      });
+    });
+
+    it('uses the overscan of the plugin configuration', done => {
+      createComponent('', 1);
+      create.then(() => {
+        expect(virtualRepeat.viewCount()).toBe(virtualRepeat.elementsInView + 2);
+        validateScroll(virtualRepeat, viewModel, done, 'overscanContainer');
+      });
+    });
+  });
+
+  describe('plugin configuration', () => {
+    let component;
+    let virtualRepeat;
+    let viewModel;
+    let create;
+
+    function createComponent(view, options, vm) {
+      let items = [];
+      for(let i = 0; i < 1000; ++i) {
+        items.push('item' + i);
+      }
+      component = StageComponent
+        .withResources(['src/virtual-repeat', 'src/infinite-scroll-next'])
+        .inView(view)
+        .boundTo(Object.assign({ items: items }, vm));
+      component.bootstrap(aurelia => {
+        aurelia.use.standardConfiguration();
+        aurelia.container.get(VirtualizationConfiguration).apply(options);
+      });
+
+      create = component.create().then(() => {
+        virtualRepeat = component.sut;
+        viewModel = component.viewModel;
+      });
+    }
+
+    afterEach(() => {
+      component.cleanUp();
+    });
+
+    it('uses the estimated item size', done => {
+      createComponent(`<div style="height: 500px; overflow-y: scroll">
+                          <div style="height: ${itemHeight}px;" virtual-repeat.for="item of items">\${item}</div>
+                        </div>`, { estimatedItemSize: 50 });
+      create.then(() => {
+        expect(virtualRepeat._sizeCache.estimatedSize).toBe(50);
+        expect(virtualRepeat.bottomBuffer.offsetHeight).toBe(50 * (1000 - virtualRepeat.viewCount()));
+        done();
+      });
+    });
+
+    it('finds the scroll container with the configured function', done => {
+      createComponent(`<div id="configuredContainer" style="height: 500px; overflow-y: scroll">
+                          <div style="overflow: auto">
+                            <div style="height: ${itemHeight}px;" virtual-repeat.for="item of items">\${item}</div>
+                          </div>
+                        </div>`, config => {
+        config.scrollContainer = listContainer => listContainer.closest('#configuredContainer');
+      });
+      create.then(() => {
+        expect(virtualRepeat.scrollContainer).toBe(document.getElementById('configuredContainer'));
+        validateScroll(virtualRepeat, viewModel, done, 'configuredContainer');
+      });
+    });
+
+    it('calls infinite-scroll-next within the threshold', done => {
+      let vm = { getNextPage: jasmine.createSpy('getNextPage') };
+      createComponent(`<div id="thresholdContainer" style="height: 500px; overflow-y: scroll">
+                          <div style="height: ${itemHeight}px;" virtual-repeat.for="item of items" infinite-scroll-next="getNextPage">\${item}</div>
+                        </div>`, { infiniteScrollThreshold: 500 }, vm);
+      create.then(() => {
+        let container = document.getElementById('thresholdContainer');
+        container.scrollTop = 500 * itemHeight;
+        container.dispatchEvent(new Event('scroll'));
+        window.setTimeout(() => {
+          window.requestAnimationFrame(() => {
+            nq(() => {
+              expect(virtualRepeat._bottomBufferCount).toBeGreaterThan(0);
+              expect(vm.getNextPage).toHaveBeenCalled();
+              expect(vm.getNextPage.calls.mostRecent().args[1]).toBe(true);
+            });
+            nq(() => done());
+          });
+        });
+      });
+    });
+  });
+
+  describe('custom strategies', () => {
+    let component;
+    let virtualRepeat;
+    let viewModel;
+    let create;
+
+    class ItemList {
+      constructor(values) {
+        this.values = values;
+        this.subscribers = [];
+        this.observer = {
+          subscribe: (context, callable) => this.subscribers.push({ context, callable }),
+          unsubscribe: (context, callable) => {
+            this.subscribers = this.subscribers.filter(subscriber => subscriber.callable !== callable);
+          }
+        };
+      }
+
+      get size() {
+        return this.values.length;
+      }
+
+      get(index) {
+        return this.values[index];
+      }
+
+      change(values, splices) {
+        this.values = values;
+        this.subscribers.forEach(({ context, callable }) => callable.call(context, splices));
+      }
+    }
+
+    class ItemListStrategy extends VirtualRepeatStrategy {
+      getCollectionObserver(observerLocator, list) {
+        return list.observer;
+      }
+
+      count(repeat) {
+        return repeat.items.size;
+      }
+
+      getItem(repeat, index) {
+        return repeat.items.get(index);
+      }
+    }
+
+    class SplicingItemListStrategy extends ItemListStrategy {
+      instanceMutated(repeat, list, splices) {
+        this.applySplices(repeat, splices);
+      }
+    }
+
+    function createComponent(strategy, length) {
+      let values = [];
+      for(let i = 0; i < length; ++i) {
+        values.push('item' + i);
+      }
+      component = StageComponent
+        .withResources('src/virtual-repeat')
+        .inView(`<div style="height: 500px; overflow-y: scroll">
+                      <div style="height: ${itemHeight}px;" virtual-repeat.for="item of items">\${item}</div>
+                  </div>`)
+        .boundTo({ items: new ItemList(values) });
+      component.bootstrap(aurelia => {
+        aurelia.use.standardConfiguration();
+        aurelia.container.get(VirtualizationConfiguration).addStrategy(items => items instanceof ItemList, strategy);
+      });
+
+      create = component.create().then(() => {
+        virtualRepeat = component.sut;
+        viewModel = component.viewModel;
+      });
+    }
+
+    afterEach(() => {
+      component.cleanUp();
+    });
+
+    it('renders a collection with the added strategy', done => {
+      let strategy = new ItemListStrategy();
+      createComponent(strategy, 1000);
+      create.then(() => {
+        expect(virtualRepeat.strategy).toBe(strategy);
+        expect(virtualRepeat.viewCount()).toBe(virtualRepeat._viewsLength);
+        expect(virtualRepeat.view(0).bindingContext.item).toBe('item0');
+        expect(virtualRepeat.bottomBuffer.offsetHeight).toBe(itemHeight * (1000 - virtualRepeat.viewCount()));
+        done();
+      });
+    });
+
+    it('does not inherit the internals of the array strategy', () => {
+      let strategy = new ItemListStrategy();
+      expect(strategy._runSplices).toBeUndefined();
+      expect(strategy._keyedProcessItems).toBeUndefined();
+      expect(strategy.createFirstItem).toEqual(jasmine.any(Function));
+    });
+
+    it('renders the splices of the strategy', done => {
+      createComponent(new SplicingItemListStrategy(), 5);
+      create.then(() => {
+        let list = viewModel.items;
+        list.change(list.values.concat(['item5']), [{ index: 5, removed: [], addedCount: 1 }]);
+        nq(() => {
+          expect(virtualRepeat.viewCount()).toBe(6);
+          expect(virtualRepeat.view(5).bindingContext.item).toBe('item5');
+        });
+        nq(() => done());
+      });
+    });
+
+    it('gets only the rendered items to render the splices', done => {
+      let strategy = new SplicingItemListStrategy();
+      createComponent(strategy, 1000);
+      create.then(() => {
+        let list = viewModel.items;
+        spyOn(strategy, 'getItem').and.callThrough();
+        list.change(['new'].concat(list.values), [{ index: 0, removed: [], addedCount: 1 }]);
+        nq(() => {
+          expect(virtualRepeat.view(0).bindingContext.item).toBe('new');
+          // not every one of the 1001 items
+          expect(strategy.getItem.calls.count()).toBeLessThan(100);
+        });
+        nq(() => done());
+      });
+    });
+
+    it('renders the items again when the strategy does not apply the changes', done => {
+      createComponent(new ItemListStrategy(), 5);
+      create.then(() => {
+        let list = viewModel.items;
+        list.change(['a', 'b', 'c'], []);
+        nq(() => {
+          expect(virtualRepeat.viewCount()).toBe(3);
+          expect(virtualRepeat.view(0).bindingContext.item).toBe('a');
+          expect(virtualRepeat.view(2).bindingContext.item).toBe('c');
+        });
+        nq(() => done());
+      });
+    });
+  });
+
+  describe('visible range', () => {
+    let component;
+    let virtualRepeat;
+    let viewModel;
+    let create;
+    let container;
+    let events;
+
+    beforeEach(() => {
+      let items = [];
+      for(let i = 0; i < 1000; ++i) {
+        items.push('item' + i);
+      }
+      events = [];
+      component = StageComponent
+        .withResources('src/virtual-repeat')
+        .inView(`<div id="rangeContainer" style="height: 500px; overflow-y: scroll">
+                      <div style="height: ${itemHeight}px;" virtual-repeat.for="item of items" first-visible-index.bind="first" last-visible-index.bind="last">\${item}</div>
+                  </div>`)
+        .boundTo({ items: items, first: undefined, last: undefined });
+
+      create = component.create().then(() => {
+        virtualRepeat = component.sut;
+        viewModel = component.viewModel;
+        container = document.getElementById('rangeContainer');
+        container.addEventListener('virtual-repeat-range-change', event => events.push(event.detail));
+      });
+    });
+
+    afterEach(() => {
+      component.cleanUp();
+    });
+
+    it('reports the items in the viewport', done => {
+      create.then(() => {
+        nq(() => {
+          expect(viewModel.first).toBe(0);
+          expect(viewModel.last).toBe(4);
+        });
+        nq(() => done());
+      });
+    });
+
+    it('reports the range while scrolling', done => {
+      create.then(() => {
+        container.scrollTop = 100 * itemHeight + 50;
+        container.dispatchEvent(new Event('scroll'));
+        window.setTimeout(() => {
+          window.requestAnimationFrame(() => {
+            expect(virtualRepeat.firstVisibleIndex).toBe(100);
+            expect(virtualRepeat.lastVisibleIndex).toBe(105);
+            let detail = events[events.length - 1];
+            expect(detail.firstVisibleIndex).toBe(100);
+            expect(detail.lastVisibleIndex).toBe(105);
+            expect(detail.firstRenderedIndex).toBe(virtualRepeat._getIndexOfFirstView());
+            expect(detail.lastRenderedIndex).toBe(virtualRepeat._getIndexOfLastView());
+            nq(() => {
+              expect(viewModel.first).toBe(100);
+              expect(viewModel.last).toBe(105);
+            });
+            nq(() => done());
+          });
+        });
+      });
+    });
+  });
+
+  describe('anchored to bottom', () => {
+    let component;
+    let virtualRepeat;
+    let viewModel;
+    let create;
+    let container;
+
+    beforeEach(() => {
+      let items = [];
+      for(let i = 0; i < 100; ++i) {
+        items.push('item' + i);
+      }
+      component = StageComponent
+        .withResources('src/virtual-repeat')
+        .inView(`<div id="chatContainer" style="height: 500px; overflow-y: scroll">
+                      <div style="height: ${itemHeight}px;" virtual-repeat.for="item of items" virtual-repeat-anchor="bottom">\${item}</div>
+                  </div>`)
+        .boundTo({ items: items });
+
+      create = component.create().then(() => {
+        virtualRepeat = component.sut;
+        viewModel = component.viewModel;
+        container = document.getElementById('chatContainer');
+      });
+    });
+
+    afterEach(() => {
+      component.cleanUp();
+    });
+
+    function afterScroll(func) {
+      window.setTimeout(() => window.requestAnimationFrame(func));
+    }
+
+    it('starts scrolled to the end', done => {
+      create.then(() => afterScroll(() => {
+        expect(container.scrollTop + 500).toBe(container.scrollHeight);
+        expect(virtualRepeat._getIndexOfLastView()).toBe(99);
+        validateScrolledState(virtualRepeat, viewModel);
+        done();
+      }));
+    });
+
+    it('turns off scroll anchoring of the scroll container until it is detached', done => {
+      create.then(() => {
+        expect(container.style.overflowAnchor).toBe('none');
+        virtualRepeat.detached();
+        expect(container.style.overflowAnchor).toBe('');
+        done();
+      });
+    });
+
+    it('turns off scroll anchoring of the document for a list scrolled by the document', done => {
+      let documentComponent = StageComponent
+        .withResources('src/virtual-repeat')
+        .inView(`<div>
+                      <div style="height: ${itemHeight}px;" virtual-repeat.for="item of items" virtual-repeat-anchor="bottom">\${item}</div>
+                  </div>`)
+        .boundTo({ items: ['item0', 'item1'] });
+      let scrollingElement = document.scrollingElement || document.documentElement;
+      create.then(() => documentComponent.create()).then(() => {
+        expect(scrollingElement.style.overflowAnchor).toBe('none');
+        documentComponent.sut.detached();
+        expect(scrollingElement.style.overflowAnchor).toBe('');
+        documentComponent.cleanUp();
+        window.scrollTo(0, 0);
+        done();
+      });
+    });
+
+    it('stays at the end when items are pushed', done => {
+      create.then(() => afterScroll(() => {
+        viewModel.items.push('new0', 'new1');
+        nq(() => afterScroll(() => {
+          expect(container.scrollTop + 500).toBe(container.scrollHeight);
+          expect(virtualRepeat._getIndexOfLastView()).toBe(101);
+          validateScrolledState(virtualRepeat, viewModel);
+          done();
+        }));
+      }));
+    });
+
+    it('keeps the first visible item in place when items are inserted above', done => {
+      create.then(() => afterScroll(() => {
+        container.scrollTop = 50 * itemHeight + 20;
+        container.dispatchEvent(new Event('scroll'));
+        afterScroll(() => {
+          expect(virtualRepeat._isStuckToBottom).toBe(false);
+          viewModel.items.unshift('older0', 'older1', 'older2');
+          nq(() => afterScroll(() => {
+            expect(container.scrollTop).toBe(53 * itemHeight + 20);
+            validateScrolledState(virtualRepeat, viewModel);
+            done();
+          }));
+        });
+      }));
+    });
+  });
+
+  describe('horizontal orientation', () => {
+    let component;
+    let virtualRepeat;
+    let viewModel;
+    let create;
+    let items;
+    let itemWidth = 100;
+
+    beforeEach(() => {
+      items = [];
+      for(let i = 0; i < 1000; ++i) {
+        items.push('item' + i);
+      }
+      component = StageComponent
+        .withResources('src/virtual-repeat')
+        .inView(`<div id="scrollContainerHorizontal" style="display: flex; width: 500px; overflow-x: scroll">
+                      <div style="width: ${itemWidth}px; flex-shrink: 0;" virtual-repeat.for="item of items" virtual-repeat-orientation="horizontal">\${item}</div>
+                  </div>`)
+        .boundTo({ items: items });
+
+      create = component.create().then(() => {
+        virtualRepeat = component.sut;
+        viewModel = component.viewModel;
+      });
+    });
+
+    afterEach(() => {
+      component.cleanUp();
+    });
+
+    function validateWidths() {
+      let views = virtualRepeat.viewSlot.children;
+      let leftBufferWidth = virtualRepeat.topBuffer.getBoundingClientRect().width;
+      let rightBufferWidth = virtualRepeat.bottomBuffer.getBoundingClientRect().width;
+      expect(leftBufferWidth + views.length * itemWidth + rightBufferWidth).toBe(viewModel.items.length * itemWidth);
+    }
+
+    it('renders only the columns around the viewport', done => {
+      create.then(() => {
+        expect(virtualRepeat.orientation.isHorizontal).toBe(true);
+        expect(virtualRepeat.viewCount()).toBeLessThan(viewModel.items.length);
+        validateWidths();
+        done();
+      });
+    });
+
+    it('handles scrolling to the right', done => {
+      create.then(() => {
+        let elem = document.getElementById('scrollContainerHorizontal');
+        elem.scrollLeft = 500 * itemWidth;
+        elem.dispatchEvent(new Event('scroll'));
+        window.setTimeout(() => {
+          window.requestAnimationFrame(() => {
+            expect(virtualRepeat._first).toBe(500);
+            expect(virtualRepeat.view(0).overrideContext.$index).toBeGreaterThan(0);
+            validateWidths();
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('wide tables', () => {
+    let component;
+    let create;
+    let cellWidth = 100;
+
+    beforeEach(() => {
+      let columns = [];
+      for (let i = 0; i < 300; ++i) {
+        columns.push('column' + i);
+      }
+      let rows = [];
+      for (let i = 0; i < 100; ++i) {
+        rows.push('row' + i);
+      }
+      component = StageComponent
+        .withResources('src/virtual-repeat')
+        .inView(`<div id="scrollContainerColumns" style="height: 500px; width: 500px; overflow: auto">
+                  <table style="table-layout: fixed; border-collapse: collapse">
+                    <thead>
+                      <tr><th virtual-repeat.for="column of columns" style="width: ${cellWidth}px; padding: 0">\${column}</th></tr>
+                    </thead>
+                    <tbody>
+                      <tr virtual-repeat.for="row of rows" style="height: ${itemHeight}px">
+                        <td virtual-repeat.for="column of columns" style="width: ${cellWidth}px; padding: 0">\${row} \${column}</td>
+                      </tr>
+                    </tbody>
+                  </table>
+                </div>`)
+        .boundTo({ columns: columns, rows: rows });
+
+      create = component.create();
+    });
+
+    afterEach(() => {
+      component.cleanUp();
+    });
+
+    // the cells of each row without its buffers
+    function getCells(row) {
+      return Array.prototype.filter.call(row.children, cell => cell.getAttribute('aria-hidden') !== 'true');
+    }
+
+    function validateColumns(firstColumn) {
+      let rows = document.querySelectorAll('#scrollContainerColumns tr');
+      let cellCount = getCells(rows[0]).length;
+      expect(cellCount).toBeGreaterThan(0);
+      expect(cellCount).toBeLessThan(300);
+      let left = getCells(rows[0])[0].getBoundingClientRect().left;
+      expect(getCells(rows[0])[0].textContent).toBe('column' + firstColumn);
+      for (let i = 1; i < rows.length; ++i) {
+        let cells = getCells(rows[i]);
+        expect(cells.length).toBe(cellCount);
+        expect(cells[0].textContent).toBe(`row${i - 1} column${firstColumn}`);
+        expect(cells[0].getBoundingClientRect().left).toBe(left);
+      }
+    }
+
+    it('renders only the columns around the viewport in every row', done => {
+      create.then(() => {
+        let table = document.querySelector('#scrollContainerColumns table');
+        expect(table.getBoundingClientRect().width).toBe(300 * cellWidth);
+        validateColumns(0);
+        done();
+      });
+    });
+
+    it('renders the same columns in the header and the rows while scrolling', done => {
+      create.then(() => {
+        let elem = document.getElementById('scrollContainerColumns');
+        elem.scrollLeft = 150 * cellWidth;
+        elem.dispatchEvent(new Event('scroll'));
+        window.setTimeout(() => {
+          window.requestAnimationFrame(() => {
+            validateColumns(150);
+            let header = document.querySelector('#scrollContainerColumns th:not([aria-hidden])');
+            expect(header.getBoundingClientRect().left).toBe(elem.getBoundingClientRect().left);
+            done();
+          });
+        });
+      });
+    });
+
+    function getCellRepeats() {
+      let repeats = [];
+      let walker = document.createTreeWalker(document.querySelector('#scrollContainerColumns table'), NodeFilter.SHOW_COMMENT, null, false);
+      for (let node = walker.nextNode(); node !== null; node = walker.nextNode()) {
+        let controller = node.au && node.au.controller;
+        if (controller && controller.viewModel._tableColumns) {
+          repeats.push(controller.viewModel);
+        }
+      }
+      return repeats;
+    }
+
+    it('observes the layout once for all rows', done => {
+      create.then(() => {
+        let repeats = getCellRepeats();
+        let columns = repeats[0]._tableColumns;
+        expect(repeats.length).toBeGreaterThan(1);
+        expect(columns.layoutObserver._mutationObserver).not.toBe(null);
+        for (let i = 0; i < repeats.length; ++i) {
+          expect(repeats[i]._tableColumns).toBe(columns);
+          expect(repeats[i]._layoutObserver._mutationObserver).toBe(null);
+          expect(repeats[i]._layoutObserver._containerObserver).toBe(null);
+        }
+        // moving the table moves the columns of every row
+        document.querySelector('#scrollContainerColumns table').style.marginLeft = '200px';
+        window.setTimeout(() => {
+          window.requestAnimationFrame(() => {
+            window.requestAnimationFrame(() => {
+              for (let i = 0; i < repeats.length; ++i) {
+                expect(repeats[i]._scrollOffset).toBe(200);
+              }
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('renders the columns of rows rendered after scrolling', done => {
+      create.then(() => {
+        let elem = document.getElementById('scrollContainerColumns');
+        elem.scrollLeft = 50 * cellWidth;
+        elem.dispatchEvent(new Event('scroll'));
+        window.setTimeout(() => {
+          window.requestAnimationFrame(() => {
+            elem.scrollTop = 50 * itemHeight;
+            elem.dispatchEvent(new Event('scroll'));
+            window.setTimeout(() => {
+              window.requestAnimationFrame(() => {
+                let row = document.querySelector('#scrollContainerColumns tbody tr');
+                expect(getCells(row)[0].textContent).toContain('column50');
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('grid layout', () => {
+    let component;
+    let virtualRepeat;
+    let viewModel;
+    let create;
+    let items;
+    let itemSize = 100;
+
+    beforeEach(() => {
+      items = [];
+      for(let i = 0; i < 1003; ++i) {
+        items.push('item' + i);
+      }
+      // leaves room for the scrollbar next to 5 columns
+      component = StageComponent
+        .withResources('src/virtual-repeat')
+        .inView(`<div id="scrollContainerGrid" style="display: flex; flex-wrap: wrap; width: 540px; height: 500px; overflow-y: scroll">
+                      <div style="width: ${itemSize}px; height: ${itemSize}px;" virtual-repeat.for="item of items" virtual-repeat-layout="grid">\${item}</div>
+                  </div>`)
+        .boundTo({ items: items });
+
+      create = component.create().then(() => {
+        virtualRepeat = component.sut;
+        viewModel = component.viewModel;
+      });
+    });
+
+    afterEach(() => {
+      component.cleanUp();
+    });
+
+    function validateRows() {
+      let itemsPerRow = virtualRepeat._itemsPerRow;
+      let views = virtualRepeat.viewSlot.children;
+      let topBufferHeight = virtualRepeat.topBuffer.getBoundingClientRect().height;
+      let bottomBufferHeight = virtualRepeat.bottomBuffer.getBoundingClientRect().height;
+      let firstIndex = views[0].overrideContext.$index;
+      expect(firstIndex % itemsPerRow).toBe(0);
+      expect(topBufferHeight).toBe(firstIndex / itemsPerRow * itemSize);
+      expect(topBufferHeight + Math.ceil(views.length / itemsPerRow) * itemSize + bottomBufferHeight)
+        .toBe(Math.ceil(viewModel.items.length / itemsPerRow) * itemSize);
+      for (let i = 0; i < views.length; ++i) {
+        expect(views[i].bindingContext.item).toBe(viewModel.items[firstIndex + i]);
+      }
+    }
+
+    it('renders several items per row', done => {
+      create.then(() => {
+        expect(virtualRepeat._itemsPerRow).toBe(5);
+        expect(virtualRepeat.viewCount()).toBeLessThan(viewModel.items.length);
+        expect(virtualRepeat.viewCount() % 5).toBe(0);
+        validateRows();
+        done();
+      });
+    });
+
+    it('renders whole rows while scrolling', done => {
+      create.then(() => {
+        let elem = document.getElementById('scrollContainerGrid');
+        elem.scrollTop = 50 * itemSize + 30;
+        elem.dispatchEvent(new Event('scroll'));
+        window.setTimeout(() => {
+          window.requestAnimationFrame(() => {
+            expect(virtualRepeat._first).toBe(250);
+            validateRows();
+            done();
+          });
+        });
+      });
+    });
+
+    it('renders the incomplete last row', done => {
+      create.then(() => {
+        let elem = document.getElementById('scrollContainerGrid');
+        elem.scrollTop = elem.scrollHeight;
+        elem.dispatchEvent(new Event('scroll'));
+        window.setTimeout(() => {
+          window.requestAnimationFrame(() => {
+            expect(virtualRepeat._getIndexOfLastView()).toBe(viewModel.items.length - 1);
+            validateRows();
+            done();
+          });
+        });
+      });
+    });
+
+    it('keeps rows aligned when items are removed', done => {
+      create.then(() => {
+        viewModel.items.splice(0, 2);
+        window.setTimeout(() => {
+          validateRows();
+          done();
+        });
+      });
+    });
+
+    it('recalculates the rows when the columns change', done => {
+      create.then(() => {
+        let elem = document.getElementById('scrollContainerGrid');
+        elem.scrollTop = 50 * itemSize;
+        elem.dispatchEvent(new Event('scroll'));
+        window.setTimeout(() => {
+          window.requestAnimationFrame(() => {
+            elem.style.width = '340px';
+            virtualRepeat._handleResize();
+            expect(virtualRepeat._itemsPerRow).toBe(3);
+            validateRows();
+            expect(virtualRepeat.view(0).overrideContext.$index).toBeLessThan(250 + 1);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('variable heights', () => {
+    let component;
+    let virtualRepeat;
+    let viewModel;
+    let create;
+    let items;
+
+    beforeEach(() => {
+      items = [];
+      for(let i = 0; i < 1000; ++i) {
+        items.push({ name: 'item' + i, height: i % 2 === 0 ? 150 : 50 });
+      }
+      component = StageComponent
+        .withResources('src/virtual-repeat')
+        .inView(`<div id="scrollContainerVariable" style="height: 500px; overflow-y: scroll">
+                      <div style="height: \${item.height}px;" virtual-repeat.for="item of items">\${item.name}</div>
+                  </div>`)
+        .boundTo({ items: items });
+
+      create = component.create().then(() => {
+        virtualRepeat = component.sut;
+        viewModel = component.viewModel;
+      });
+    });
+
+    afterEach(() => {
+      component.cleanUp();
+    });
+
+    it('renders rows with their own height', done => {
+      create.then(() => {
+        nq(() => {
+          let views = virtualRepeat.viewSlot.children;
+          for (let i = 0; i < views.length; i++) {
+            expect(views[i].lastChild.getBoundingClientRect().height).toBe(viewModel.items[i].height);
+          }
+        });
+        nq(() => done());
+      });
+    });
+
+    it('measures a row again when it is resized', done => {
+      create.then(() => {
+        nq(() => {
+          expect(virtualRepeat._sizeCache.get(0)).toBe(150);
+          let bottomBufferTop = virtualRepeat.bottomBuffer.getBoundingClientRect().top;
+          viewModel.items[0].height = 300;
+          window.requestAnimationFrame(() => window.setTimeout(() => {
+            expect(virtualRepeat._sizeCache.get(0)).toBe(300);
+            expect(virtualRepeat.bottomBuffer.getBoundingClientRect().top).toBe(bottomBufferTop + 150);
+            done();
+          }, 50));
+        });
+      });
+    });
+
+    it('sizes the top buffer from the measured rows', done => {
+      create.then(() => {
+        let elem = document.getElementById('scrollContainerVariable');
+        nq(() => {
+          elem.scrollTop = 1000;
+          elem.dispatchEvent(new Event('scroll'));
+        });
+        nq(() => window.requestAnimationFrame(() => {
+          let firstIndex = virtualRepeat.view(0).overrideContext.$index;
+          let expectedHeight = 0;
+          for (let i = 0; i < firstIndex; i++) {
+            expectedHeight += viewModel.items[i].height;
+          }
+          expect(firstIndex).toBeGreaterThan(0);
+          expect(virtualRepeat.topBuffer.getBoundingClientRect().height).toBe(expectedHeight);
+          done();
+        }));
+      });
+    });
+
+    it('corrects the scroll by the measured heights of the removed rows', done => {
+      create.then(() => {
+        let elem = document.getElementById('scrollContainerVariable');
+        nq(() => {
+          elem.scrollTop = elem.scrollHeight;
+          elem.dispatchEvent(new Event('scroll'));
+        });
+        nq(() => window.requestAnimationFrame(() => {
+          expect(virtualRepeat._getIndexOfLastView()).toBe(viewModel.items.length - 1);
+          spyOn(virtualRepeat, '_getScrollPosition').and.callThrough();
+          spyOn(virtualRepeat, '_setScrollPosition').and.callThrough();
+          viewModel.items = viewModel.items.slice(0, viewModel.items.length - 3);
+          nq(() => {
+            let setCall = virtualRepeat._setScrollPosition.calls.first();
+            let getCall = virtualRepeat._getScrollPosition.calls.all()
+              .filter(call => call.invocationOrder < setCall.invocationOrder)
+              .pop();
+            // items 997, 998 and 999 are 50, 150 and 50 pixels high
+            expect(setCall.args[0] - getCall.returnValue).toBe(250);
+            done();
+          });
+        }));
+      });
+    });
+  });
+
+  describe('initial setup', () => {
+    let component;
+    let virtualRepeat;
+    let viewModel;
+    let create;
+    let items;
+
+    beforeEach(() => {
+      items = [];
+      component = StageComponent
         .withResources(['src/virtual-repeat'])
         .inView(`<div style="height: ${itemHeight}px;" virtual-repeat.for="item of items">\${item}</div>`)
         .boundTo({items: items});
@@ -694,4 +3040,105 @@ describe('VirtualRepeat Integration', () => {
         .then(done);
     });
   });
+
+  describe('unset items', () => {
+    let component;
+    let virtualRepeat;
+    let viewModel;
+    let create;
+
+    beforeEach(() => {
+      component = StageComponent
+        .withResources(['src/virtual-repeat'])
+        .inView(`<div style="height: ${itemHeight}px;" virtual-repeat.for="item of items">\${item}</div>`)
+        .boundTo({items: undefined});
+
+      create = component.create().then(() => {
+        virtualRepeat = component.sut;
+        viewModel = component.viewModel;
+      });
+    });
+
+    afterEach(() => {
+      component.cleanUp();
+    });
+
+    it('renders nothing', done => {
+      create.then(() => {
+        expect(virtualRepeat.viewCount()).toBe(0);
+        done();
+      });
+    });
+
+    it('renders the items when they arrive', done => {
+      create.then(() => {
+        let items = [];
+        for (let i = 0; i < 100; ++i) {
+          items.push('item' + i);
+        }
+        viewModel.items = items;
+        nq(() => validateState(virtualRepeat, viewModel));
+        nq(() => {
+          viewModel.items = null;
+        });
+        nq(() => expect(virtualRepeat.viewCount()).toBe(0));
+        nq(() => done());
+      });
+    });
+  });
+
+  describe('number range', () => {
+    let component;
+    let virtualRepeat;
+    let viewModel;
+    let create;
+
+    beforeEach(() => {
+      component = StageComponent
+        .withResources(['src/virtual-repeat'])
+        .inView(`<div style="height: 500px; overflow-y: scroll">
+                      <div style="height: ${itemHeight}px;" virtual-repeat.for="i of count">\${i}</div>
+                  </div>`)
+        .boundTo({count: 100000});
+
+      create = component.create().then(() => {
+        virtualRepeat = component.sut;
+        viewModel = component.viewModel;
+      });
+    });
+
+    afterEach(() => {
+      component.cleanUp();
+    });
+
+    function validateRange() {
+      let views = virtualRepeat.viewSlot.children;
+      let topBufferHeight = virtualRepeat.topBuffer.getBoundingClientRect().height;
+      let bottomBufferHeight = virtualRepeat.bottomBuffer.getBoundingClientRect().height;
+      expect(topBufferHeight + views.length * itemHeight + bottomBufferHeight).toBe(viewModel.count * itemHeight);
+      for (let i = 0; i < views.length; i++) {
+        expect(views[i].bindingContext.i).toBe(views[i].overrideContext.$index);
+      }
+    }
+
+    it('renders a range of numbers', done => {
+      create.then(() => {
+        expect(virtualRepeat.viewCount()).toBeLessThan(100);
+        expect(virtualRepeat.view(0).bindingContext.i).toBe(0);
+        validateRange();
+        done();
+      });
+    });
+
+    it('handles a changed range', done => {
+      create.then(() => {
+        viewModel.count = 3;
+        nq(() => {
+          expect(virtualRepeat.viewCount()).toBe(3);
+          validateRange();
+        });
+        nq(() => done());
+      });
+    });
+  });
 });
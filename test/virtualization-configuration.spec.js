@@ -0,0 +1,37 @@
+import {VirtualizationConfiguration} from '../src/virtualization-configuration';
+
+describe('VirtualizationConfiguration', () => {
+  let configuration;
+
+  beforeEach(() => {
+    configuration = new VirtualizationConfiguration();
+  });
+
+  it('applies the options of the plugin', () => {
+    let scrollContainer = element => element.parentNode;
+    configuration.apply({ overscan: 3, estimatedItemSize: 40, scrollContainer: scrollContainer, infiniteScrollThreshold: '300px', debug: true });
+    expect(configuration.overscan).toBe(3);
+    expect(configuration.estimatedItemSize).toBe(40);
+    expect(configuration.scrollContainer).toBe(scrollContainer);
+    expect(configuration.infiniteScrollThreshold).toBe('300px');
+    expect(configuration.debug).toBe(true);
+  });
+
+  it('rejects unknown options', () => {
+    expect(() => configuration.apply({ overScan: 3 })).toThrowError(/unknown option 'overScan'/);
+    expect(() => configuration.apply({ strategies: [] })).toThrowError(/unknown option 'strategies'/);
+    expect(configuration.strategies).toEqual([]);
+  });
+
+  it('rejects invalid values without applying any option', () => {
+    expect(() => configuration.apply({ overscan: 3, infiniteScrollThreshold: 'far' })).toThrowError(/option 'infiniteScrollThreshold'/);
+    expect(() => configuration.apply({ overscan: -1 })).toThrowError(/option 'overscan'/);
+    expect(() => configuration.apply({ debug: 'yes' })).toThrowError(/option 'debug'/);
+    expect(configuration.overscan).toBe(null);
+  });
+
+  it('calls a function with the configuration', () => {
+    configuration.apply(config => config.addStrategy(items => false, {}));
+    expect(configuration.strategies.length).toBe(1);
+  });
+});